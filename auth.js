@@ -0,0 +1,316 @@
+/**
+ * auth.js - Sign-in with pluggable providers
+ * A provider checks that whoever signs in owns the email address:
+ *
+ *   { name, begin(email) -> { delivery, setup?, hint? }, verify(email, code) -> boolean }
+ *
+ * EmailCodeProvider mails a short-lived one-time code (see smtp.js).
+ * TotpProvider checks the codes of an authenticator app (RFC 6238) and needs
+ * no network; the first sign-in with an address shows the secret to add to
+ * the app. TestCodeProvider is the fixed code for @fileway.local addresses,
+ * only there when the app runs with the dev flag.
+ *
+ * AuthManager limits how often codes can be asked for and guessed, and
+ * hands out sessions that expire.
+ */
+
+const crypto = require('crypto');
+
+const CODE_DIGITS = 6;
+const CODE_TTL = 10 * 60 * 1000; // emailed codes
+const MAX_CODE_REQUESTS = 3; // per address within REQUEST_WINDOW
+const REQUEST_WINDOW = 10 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5; // wrong codes before the address is locked for LOCKOUT_TIME
+const LOCKOUT_TIME = 15 * 60 * 1000;
+const DEFAULT_SESSION_DAYS = 30;
+const TOTP_STEP = 30; // seconds
+const TOTP_DRIFT = 1; // steps either side accepted, for clocks that are a little off
+const TEST_CODE = '123456';
+const TEST_EMAIL_DOMAIN = '@fileway.local';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function authError(message, code, retryAfter = null) {
+    return Object.assign(new Error(message), { code, retryAfter });
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest();
+}
+
+function sameCode(a, b) {
+    return crypto.timingSafeEqual(hashCode(a), hashCode(b));
+}
+
+function minutesUntil(time, now) {
+    return Math.max(1, Math.ceil((time - now) / 60000));
+}
+
+// ==================== TOTP ====================
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Not a base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) of a base32 secret for one counter
+ */
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const number = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(number % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Code an authenticator app shows for a secret at a time
+ */
+function totpCode(secret, time = Date.now()) {
+    return hotp(secret, Math.floor(time / 1000 / TOTP_STEP));
+}
+
+// ==================== PROVIDERS ====================
+
+class EmailCodeProvider {
+    /**
+     * @param options.transport { sendMail({ from, to, subject, text }) }, e.g. an SmtpTransport
+     * @param options.from sender of the code emails
+     */
+    constructor({ transport, from, now = Date.now }) {
+        this.name = 'Email code';
+        this.transport = transport;
+        this.from = from || 'Fileway <fileway@localhost>';
+        this.now = now;
+        this.codes = new Map(); // email -> { hash, expiresAt }
+    }
+
+    async begin(email) {
+        const code = String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+        this.codes.set(email, { hash: hashCode(code), expiresAt: this.now() + CODE_TTL });
+
+        try {
+            await this.transport.sendMail({
+                from: this.from,
+                to: email,
+                subject: `Your Fileway sign-in code: ${code}`,
+                text: `Your Fileway sign-in code is ${code}\n\n` +
+                    `It works once, for the next ${CODE_TTL / 60000} minutes. ` +
+                    'If you did not try to sign in to Fileway, you can ignore this email.\n'
+            });
+        } catch (err) {
+            this.codes.delete(email);
+            throw authError(`Could not send the code: ${err.message}`, 'delivery-failed');
+        }
+        return { delivery: 'email' };
+    }
+
+    async verify(email, code) {
+        const entry = this.codes.get(email);
+        if (!entry || entry.expiresAt < this.now()) return false;
+        if (!crypto.timingSafeEqual(entry.hash, hashCode(code))) return false;
+
+        this.codes.delete(email); // one use only
+        return true;
+    }
+}
+
+class TotpProvider {
+    /**
+     * @param options.secretStore { get(email), set(email, record) } keeping { secret, confirmed, lastStep }
+     */
+    constructor({ secretStore, issuer = 'Fileway', now = Date.now }) {
+        this.name = 'Authenticator app';
+        this.secretStore = secretStore;
+        this.issuer = issuer;
+        this.now = now;
+    }
+
+    async begin(email) {
+        const record = this.secretStore.get(email);
+        if (record && record.confirmed) return { delivery: 'totp' };
+
+        // Not set up yet: keep offering the same secret until a code from it works
+        const secret = record ? record.secret : base32Encode(crypto.randomBytes(20));
+        if (!record) this.secretStore.set(email, { secret, confirmed: false, lastStep: null });
+
+        const label = encodeURIComponent(`${this.issuer}:${email}`);
+        const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}` +
+            `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${TOTP_STEP}`;
+        return { delivery: 'totp', setup: { secret, uri } };
+    }
+
+    async verify(email, code) {
+        const record = this.secretStore.get(email);
+        if (!record) return false;
+
+        const current = Math.floor(this.now() / 1000 / TOTP_STEP);
+        for (let step = current - TOTP_DRIFT; step <= current + TOTP_DRIFT; step++) {
+            // A code cannot be used twice, nor an older one after a newer
+            if (record.lastStep !== null && step <= record.lastStep) continue;
+            if (sameCode(hotp(record.secret, step), code)) {
+                this.secretStore.set(email, { ...record, confirmed: true, lastStep: step });
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+class TestCodeProvider {
+    constructor() {
+        this.name = 'Test code';
+    }
+
+    async begin(email) {
+        if (!email.endsWith(TEST_EMAIL_DOMAIN)) {
+            throw authError(`Test sign-in only takes ${TEST_EMAIL_DOMAIN} addresses`, 'unsupported-email');
+        }
+        return { delivery: 'test', hint: TEST_CODE };
+    }
+
+    async verify(email, code) {
+        return email.endsWith(TEST_EMAIL_DOMAIN) && sameCode(code, TEST_CODE);
+    }
+}
+
+// ==================== MANAGER ====================
+
+class AuthManager {
+    /**
+     * @param options.providers { id: provider }, tried in this order on the sign-in page
+     * @param options.sessionDays how long a sign-in lasts
+     */
+    constructor({ providers, sessionDays = DEFAULT_SESSION_DAYS, now = Date.now }) {
+        this.providers = { ...providers };
+        this.sessionDays = sessionDays;
+        this.now = now;
+        this.pending = new Map(); // email -> provider ID the code was asked from
+        this.requests = new Map(); // email -> times codes were asked for
+        this.failures = new Map(); // email -> { count, lockedUntil }
+    }
+
+    setProvider(id, provider) {
+        this.providers[id] = provider;
+    }
+
+    getMethods() {
+        return Object.entries(this.providers).map(([id, provider]) => ({ id, name: provider.name }));
+    }
+
+    /**
+     * Send or prepare a code for an address
+     * @returns { method, delivery, setup?, hint? }
+     */
+    async requestCode(email, method) {
+        const address = String(email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(address)) {
+            throw authError('Enter a valid email address', 'invalid-email');
+        }
+        const provider = this.providers[method];
+        if (!provider) {
+            throw authError('This sign-in method is not available', 'unknown-method');
+        }
+        this.checkLockout(address);
+
+        const now = this.now();
+        const recent = (this.requests.get(address) || []).filter(time => now - time < REQUEST_WINDOW);
+        if (recent.length >= MAX_CODE_REQUESTS) {
+            const retryAt = recent[0] + REQUEST_WINDOW;
+            throw authError(`Too many codes asked for. Try again in ${minutesUntil(retryAt, now)} minutes.`, 'rate-limited', retryAt);
+        }
+        recent.push(now);
+        this.requests.set(address, recent);
+
+        const result = await provider.begin(address);
+        this.pending.set(address, method);
+        return { method, ...result };
+    }
+
+    /**
+     * Check a code. Returns the new session, or throws.
+     */
+    async verify(email, code) {
+        const address = String(email || '').trim().toLowerCase();
+        const method = this.pending.get(address);
+        if (!method || !this.providers[method]) {
+            throw authError('Ask for a code first', 'no-code');
+        }
+        this.checkLockout(address);
+
+        const valid = /^\d+$/.test(String(code)) && await this.providers[method].verify(address, String(code));
+        if (!valid) {
+            const failures = this.failures.get(address) || { count: 0, lockedUntil: 0 };
+            failures.count++;
+            if (failures.count >= MAX_FAILED_ATTEMPTS) {
+                failures.count = 0;
+                failures.lockedUntil = this.now() + LOCKOUT_TIME;
+            }
+            this.failures.set(address, failures);
+            this.checkLockout(address);
+            throw authError('Invalid or expired code', 'invalid-code');
+        }
+
+        this.failures.delete(address);
+        this.pending.delete(address);
+        this.requests.delete(address);
+
+        const signedInAt = this.now();
+        return {
+            email: address,
+            method,
+            signedInAt,
+            expiresAt: signedInAt + this.sessionDays * 24 * 60 * 60 * 1000
+        };
+    }
+
+    checkLockout(address) {
+        const failures = this.failures.get(address);
+        const now = this.now();
+        if (failures && failures.lockedUntil > now) {
+            throw authError(`Too many wrong codes. Try again in ${minutesUntil(failures.lockedUntil, now)} minutes.`,
+                'rate-limited', failures.lockedUntil);
+        }
+    }
+
+    isSessionValid(session) {
+        return Boolean(session && session.expiresAt > this.now());
+    }
+}
+
+module.exports = AuthManager;
+module.exports.EmailCodeProvider = EmailCodeProvider;
+module.exports.TotpProvider = TotpProvider;
+module.exports.TestCodeProvider = TestCodeProvider;
+module.exports.totpCode = totpCode;
@@ -0,0 +1,394 @@
+/**
+ * automationApi.js - Local HTTP API and WebSocket event stream for scripts
+ * Off unless the user turns it on in Settings. Listens on 127.0.0.1 only and
+ * wants the access token on every request as "Authorization: Bearer <token>";
+ * the event stream also takes it as ?token=, since browsers cannot add
+ * headers to a WebSocket.
+ *
+ *   GET  /v1/devices                 devices on the network
+ *   GET  /v1/transfers               incoming requests and transfers, sends in progress
+ *   POST /v1/transfers               { deviceId, paths, streams?, compress? }: start a send
+ *   POST /v1/transfers/:id/accept    { collision? }: accept an incoming request
+ *   POST /v1/transfers/:id/reject
+ *   POST /v1/transfers/:id/cancel
+ *   GET  /v1/history                 ?query, direction, outcome, deviceId, since, limit
+ *   GET  /v1/events                  WebSocket of { event, data } messages: transferRequest,
+ *                                    transferProgress, transferComplete, transferEnded, devicesUpdated
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+const API_PORT = 41236;
+const API_HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_HISTORY_LIMIT = 1000;
+const PROGRESS_INTERVAL = 250; // ms between progress events of one transfer on the event stream
+const MAX_CLIENT_FRAME = 64 * 1024; // clients of the event stream only send pings and close frames
+const MAX_CLIENT_BACKLOG = 4 * 1024 * 1024; // a client this far behind is dropped
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+    TEXT: 1,
+    CLOSE: 8,
+    PING: 9,
+    PONG: 10
+};
+
+function apiError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function tokenMatches(expected, given) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(given || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(apiError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error();
+                resolve(body);
+            } catch (err) {
+                reject(apiError(400, 'The request body must be a JSON object'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the body of a send request
+ */
+function parseSendRequest(body) {
+    if (typeof body.deviceId !== 'string' || !body.deviceId) {
+        throw apiError(400, 'deviceId is required');
+    }
+    if (!Array.isArray(body.paths) || body.paths.length === 0 ||
+        !body.paths.every(filePath => typeof filePath === 'string' && path.isAbsolute(filePath))) {
+        throw apiError(400, 'paths must be a list of absolute file or folder paths');
+    }
+    if (body.streams !== undefined && !(Number.isInteger(body.streams) && body.streams >= 1)) {
+        throw apiError(400, 'streams must be a positive whole number');
+    }
+    if (body.compress !== undefined && typeof body.compress !== 'boolean') {
+        throw apiError(400, 'compress must be true or false');
+    }
+    return { deviceId: body.deviceId, paths: body.paths, streams: body.streams, compress: body.compress };
+}
+
+function parseHistoryFilters(params) {
+    const number = (name) => {
+        if (!params.has(name)) return undefined;
+        const value = Number(params.get(name));
+        if (!Number.isFinite(value) || value < 0) throw apiError(400, `${name} must be a number`);
+        return value;
+    };
+
+    return {
+        query: params.get('query') || undefined,
+        direction: params.get('direction') || undefined,
+        outcome: params.get('outcome') || undefined,
+        deviceId: params.get('deviceId') || undefined,
+        since: number('since'),
+        limit: Math.min(number('limit') || 100, MAX_HISTORY_LIMIT)
+    };
+}
+
+// ==================== WEBSOCKET FRAMES ====================
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // final frame, no fragments
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Take the complete frames off the front of what a client sent.
+ * Returns { frames, rest }; throws on frames a client may not send.
+ */
+function readFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            const bigLength = buffer.readBigUInt64BE(offset + 2);
+            length = bigLength > BigInt(MAX_CLIENT_FRAME) ? Infinity : Number(bigLength);
+            headerLength = 10;
+        }
+
+        if (!masked) throw new Error('Client frames must be masked');
+        if (length > MAX_CLIENT_FRAME) throw new Error('Frame too large');
+
+        const frameLength = headerLength + 4 + length;
+        if (buffer.length - offset < frameLength) break;
+
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + frameLength));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+
+        frames.push({ opcode: buffer[offset] & 0x0f, payload });
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+class AutomationApi {
+    /**
+     * @param options.token access token every request has to carry
+     * @param options.port TCP port on 127.0.0.1
+     * @param options.handlers what the routes do (see main.js):
+     *   listDevices(), listTransfers(), sendFiles({ deviceId, paths, streams, compress }) -> { transferId },
+     *   acceptTransfer(transferId, { collision }), rejectTransfer(transferId), cancelTransfer(transferId)
+     *   (false when there is no such transfer), getHistory(filters) -> { entries, summary }
+     */
+    constructor(options) {
+        this.token = options.token;
+        this.port = options.port || API_PORT;
+        this.handlers = options.handlers;
+        this.server = null;
+        this.clients = new Set(); // sockets of the event stream
+        this.lastProgressAt = new Map(); // transferId -> when its last progress event went out
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+            this.server.once('error', reject);
+            this.server.listen(this.port, API_HOST, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        this.clients.forEach(socket => socket.destroy());
+        this.clients.clear();
+        this.lastProgressAt.clear();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    /**
+     * Use a new token; event streams opened with the old one are closed
+     */
+    setToken(token) {
+        this.token = token;
+        this.clients.forEach(socket => socket.destroy());
+        this.clients.clear();
+    }
+
+    /**
+     * Send an event to every client of the event stream
+     */
+    publish(event, data) {
+        if (this.clients.size === 0) return;
+
+        // Progress comes with every chunk; a few updates a second are plenty
+        if (event === 'transferProgress') {
+            const now = Date.now();
+            if (data.progress < 100 && now - (this.lastProgressAt.get(data.transferId) || 0) < PROGRESS_INTERVAL) return;
+            this.lastProgressAt.set(data.transferId, now);
+        } else if (event === 'transferEnded') {
+            this.lastProgressAt.delete(data.transferId);
+        }
+
+        const frame = encodeFrame(OPCODE.TEXT, Buffer.from(JSON.stringify({ event, data })));
+        for (const socket of this.clients) {
+            if (socket.writableLength > MAX_CLIENT_BACKLOG) {
+                socket.destroy();
+                continue;
+            }
+            socket.write(frame);
+        }
+    }
+
+    // ==================== HTTP ====================
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, `http://${API_HOST}`);
+        const authorization = String(req.headers.authorization || '');
+
+        Promise.resolve()
+            .then(() => {
+                if (!tokenMatches(this.token, authorization.replace(/^Bearer /, ''))) {
+                    throw apiError(401, 'Missing or wrong access token');
+                }
+                return this.route(req, url);
+            })
+            .then(
+                ([status, body]) => sendJson(res, status, body),
+                (err) => {
+                    if (!err.status) console.error('Automation API error:', err);
+                    sendJson(res, err.status || 500, { error: err.message });
+                }
+            );
+    }
+
+    async route(req, url) {
+        const { handlers } = this;
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (err) {
+            throw apiError(400, 'Malformed URL');
+        }
+        const method = req.method;
+        const key = parts.length === 4 && parts[1] === 'transfers'
+            ? `${method} /v1/transfers/:id/${parts[3]}`
+            : `${method} /${parts.join('/')}`;
+
+        switch (key) {
+            case 'GET /v1/devices':
+                return [200, await handlers.listDevices()];
+
+            case 'GET /v1/transfers':
+                return [200, await handlers.listTransfers()];
+
+            case 'POST /v1/transfers':
+                return [202, await handlers.sendFiles(parseSendRequest(await readJsonBody(req)))];
+
+            case 'POST /v1/transfers/:id/accept': {
+                const body = await readJsonBody(req);
+                if (body.collision !== undefined && body.collision !== 'rename' && body.collision !== 'overwrite') {
+                    throw apiError(400, 'collision must be "rename" or "overwrite"');
+                }
+                if (!await handlers.acceptTransfer(parts[2], { collision: body.collision })) {
+                    throw apiError(404, 'No request waiting with that transfer ID');
+                }
+                return [200, { success: true }];
+            }
+
+            case 'POST /v1/transfers/:id/reject':
+                if (!await handlers.rejectTransfer(parts[2])) {
+                    throw apiError(404, 'No request waiting with that transfer ID');
+                }
+                return [200, { success: true }];
+
+            case 'POST /v1/transfers/:id/cancel':
+                if (!await handlers.cancelTransfer(parts[2])) {
+                    throw apiError(404, 'No transfer with that ID');
+                }
+                return [200, { success: true }];
+
+            case 'GET /v1/history':
+                return [200, await handlers.getHistory(parseHistoryFilters(url.searchParams))];
+
+            default:
+                throw apiError(404, `No such endpoint: ${method} ${url.pathname}`);
+        }
+    }
+
+    // ==================== EVENT STREAM ====================
+
+    handleUpgrade(req, socket) {
+        const url = new URL(req.url, `http://${API_HOST}`);
+        const authorization = String(req.headers.authorization || '');
+        const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : url.searchParams.get('token');
+        const key = req.headers['sec-websocket-key'];
+
+        const refuse = (status, message) => {
+            socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+        };
+        if (url.pathname !== '/v1/events') return refuse(404, 'Not Found');
+        if (!tokenMatches(this.token, token)) return refuse(401, 'Unauthorized');
+        if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key ||
+            req.headers['sec-websocket-version'] !== '13') {
+            return refuse(400, 'Bad Request');
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        socket.setNoDelay(true);
+        this.clients.add(socket);
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            let frames;
+            try {
+                ({ frames, rest: buffer } = readFrames(Buffer.concat([buffer, chunk])));
+            } catch (err) {
+                socket.destroy();
+                return;
+            }
+
+            for (const frame of frames) {
+                if (frame.opcode === OPCODE.PING) {
+                    socket.write(encodeFrame(OPCODE.PONG, frame.payload));
+                } else if (frame.opcode === OPCODE.CLOSE) {
+                    this.clients.delete(socket);
+                    socket.end(encodeFrame(OPCODE.CLOSE, Buffer.alloc(0)));
+                    return;
+                }
+                // Anything else a client says is ignored; the stream only goes one way
+            }
+        });
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', () => this.clients.delete(socket));
+    }
+}
+
+module.exports = AutomationApi;
+module.exports.API_PORT = API_PORT;
+module.exports.apiError = apiError;
@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+/**
+ * cli.js - Send and receive files without the desktop app, e.g. on build machines
+ *
+ *   fileway devices [--wait seconds]
+ *   fileway send <file or folder>... --to <email, device name or ID> [--wait seconds] [--streams N] [--no-compress]
+ *   fileway receive [--auto-accept] [--from email] [--dir folder] [--once]
+ *   fileway config [--email address] [--name device name]
+ *
+ * Every command also takes --config <file> (default $FILEWAY_CONFIG, then
+ * ~/.fileway/config.json) and --verbose. The command line is a device of
+ * its own, with its own keys and paired devices, kept in that file.
+ *
+ * Results are JSON on stdout: one object for devices, send and config, one
+ * line per event for receive. Errors are { "error", "code" } objects. The
+ * exit code says how it went, see EXIT.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DeviceDiscovery = require('./discovery');
+const FileTransfer = require('./fileTransfer');
+const { DECISION, decideTransfer } = require('./transferPolicy');
+const routingRules = require('./routingRules');
+const transferHistory = require('./transferHistory');
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1, // an error, or the transfer failed
+    USAGE: 2,
+    REJECTED: 3,
+    CANCELLED: 4,
+    CORRUPTED: 5, // a file arrived but did not match its hash
+    NOT_FOUND: 6 // no matching device on the network
+};
+
+const OUTCOME_EXIT = {
+    completed: EXIT.OK,
+    failed: EXIT.FAILED,
+    rejected: EXIT.REJECTED,
+    cancelled: EXIT.CANCELLED,
+    corrupted: EXIT.CORRUPTED
+};
+
+const DEVICE_WAIT = 4; // seconds; devices announce themselves every 3
+const SEND_WAIT = 10;
+
+const FLAGS = ['auto-accept', 'once', 'no-compress', 'verbose', 'help'];
+const OPTIONS = ['to', 'wait', 'streams', 'dir', 'from', 'email', 'name', 'config'];
+
+const USAGE = `Usage:
+  fileway devices [--wait seconds]
+  fileway send <file or folder>... --to <email, device name or ID> [--wait seconds] [--streams N] [--no-compress]
+  fileway receive [--auto-accept] [--from email] [--dir folder] [--once]
+  fileway config [--email address] [--name device name]
+
+Options for every command: --config <file>, --verbose`;
+
+function usageError(message) {
+    return Object.assign(new Error(message), { code: 'usage', exitCode: EXIT.USAGE });
+}
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const key = arg.slice(2);
+        if (FLAGS.includes(key)) {
+            options[key] = true;
+        } else if (OPTIONS.includes(key)) {
+            if (i + 1 >= rest.length) throw usageError(`${arg} needs a value`);
+            options[key] = rest[++i];
+        } else {
+            throw usageError(`Unknown option ${arg}`);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+function parseSeconds(value, fallback) {
+    if (value === undefined) return fallback;
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) throw usageError(`Not a number of seconds: ${value}`);
+    return seconds;
+}
+
+function print(value) {
+    process.stdout.write(JSON.stringify(value) + '\n');
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function requireEmail(store) {
+    const email = store.getEmail();
+    if (!email) throw usageError('Set the email this device uses first: fileway config --email you@example.com');
+    return email;
+}
+
+function startDiscovery(store) {
+    const discovery = new DeviceDiscovery({
+        identity: store.getDeviceIdentity(),
+        keyStore: { get: store.getPinnedKey }
+    });
+    discovery.start(store.getDeviceId(), store.getDeviceName(), store.getEmail(), {
+        savedHosts: Object.keys(store.getSavedDevices())
+    });
+    return discovery;
+}
+
+function createFileTransfer(store, options = {}) {
+    return new FileTransfer({
+        identity: store.getDeviceIdentity(),
+        keyStore: {
+            get: store.getPinnedKey,
+            set: store.pinKey
+        },
+        ...options
+    });
+}
+
+function describeDevice(device, pairedDevices) {
+    return {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        email: device.email,
+        ip: device.ip,
+        addresses: device.addresses,
+        foundBy: device.foundBy,
+        verification: device.verification,
+        paired: Boolean(pairedDevices[device.deviceId])
+    };
+}
+
+/**
+ * Wait for a device whose ID, email or name is `target`.
+ * Several devices can share an email; then the ID has to say which.
+ */
+function findDevice(discovery, target, seconds) {
+    const wanted = target.toLowerCase();
+    const matches = () => discovery.getDeviceList().filter(device => device.deviceId === target ||
+        String(device.email).toLowerCase() === wanted || String(device.deviceName).toLowerCase() === wanted);
+
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const found = matches();
+            if (found.length === 0) return;
+
+            finish();
+            if (found.length > 1) {
+                reject(usageError(`Several devices match "${target}", use a device ID: ` +
+                    found.map(device => `${device.deviceName} ${device.deviceId}`).join(', ')));
+            } else {
+                resolve(found[0]);
+            }
+        };
+
+        const timer = setTimeout(() => {
+            finish();
+            reject(Object.assign(new Error(`No device matching "${target}" found on the network`), {
+                code: 'not-found',
+                exitCode: EXIT.NOT_FOUND
+            }));
+        }, seconds * 1000);
+
+        const finish = () => {
+            clearTimeout(timer);
+            discovery.removeListener('devicesUpdated', check);
+        };
+
+        discovery.on('devicesUpdated', check);
+        check();
+    });
+}
+
+// ==================== COMMANDS ====================
+
+async function listDevices(store, options) {
+    const discovery = startDiscovery(store);
+    await delay(parseSeconds(options.wait, DEVICE_WAIT) * 1000);
+
+    const pairedDevices = store.getPairedDevices();
+    const devices = discovery.getDeviceList().map(device => describeDevice(device, pairedDevices));
+    discovery.stop();
+    print(devices);
+    return EXIT.OK;
+}
+
+async function send(store, paths, options) {
+    if (paths.length === 0) throw usageError('Nothing to send');
+    if (!options.to) throw usageError('Say which device to send to with --to');
+
+    const email = requireEmail(store);
+    const sourcePaths = paths.map(sourcePath => path.resolve(sourcePath));
+    const missing = sourcePaths.find(sourcePath => !fs.existsSync(sourcePath));
+    if (missing) throw usageError(`${missing} does not exist`);
+
+    const streams = options.streams === undefined ? store.getSettings().parallelConnections : Number(options.streams);
+    if (!Number.isInteger(streams) || streams < 1) throw usageError(`Not a number of connections: ${options.streams}`);
+
+    const discovery = startDiscovery(store);
+    let device;
+    try {
+        device = await findDevice(discovery, options.to, parseSeconds(options.wait, SEND_WAIT));
+    } finally {
+        discovery.stop();
+    }
+
+    const fileTransfer = createFileTransfer(store);
+    let ended = null;
+    fileTransfer.on('transferEnded', (data) => { ended = data; });
+
+    // Ctrl+C cancels the transfer, and the other side hears about it
+    const cancel = () => {
+        fileTransfer.getOutgoingTransfers().forEach((transfer) => {
+            fileTransfer.cancelTransfer(transfer.transferId, 'Stopped on the command line');
+        });
+    };
+    process.once('SIGINT', cancel);
+    process.once('SIGTERM', cancel);
+
+    try {
+        await fileTransfer.sendFiles(device.ip, sourcePaths, email, {
+            deviceId: device.deviceId,
+            streams,
+            compress: !options['no-compress'] && store.getSettings().compressTransfers !== false
+        });
+    } catch (err) {
+        if (!ended) throw err;
+    } finally {
+        process.removeListener('SIGINT', cancel);
+        process.removeListener('SIGTERM', cancel);
+    }
+
+    const entry = transferHistory.createHistoryEntry(ended, { email: device.email, deviceName: device.deviceName });
+    store.addHistoryEntry(entry);
+    print(entry);
+    return OUTCOME_EXIT[entry.outcome];
+}
+
+/**
+ * Take transfers until stopped (or, with --once, until the first accepted
+ * one ends). Without --auto-accept only paired devices get through; there
+ * is nobody to ask about the rest, so they are turned down.
+ */
+function receive(store, options) {
+    const email = requireEmail(store);
+    const settings = store.getSettings();
+    const dir = options.dir ? path.resolve(options.dir) : null;
+    const from = options.from ? options.from.trim().toLowerCase() : null;
+    const collision = settings.collisionStrategy === 'overwrite' ? 'overwrite' : 'rename';
+
+    const isWanted = (senderEmail) => !from || String(senderEmail).toLowerCase() === from;
+
+    const fileTransfer = createFileTransfer(store, {
+        receivePath: dir || settings.downloadLocation,
+        maxActiveReceives: settings.maxConcurrentReceives,
+        resolveDestination: (file, sender) => dir ||
+            routingRules.resolveDestination(settings.routingRules, file, sender, settings.downloadLocation),
+        acceptText: (sender) => isWanted(sender.email) && !store.getBlockedDevices()[sender.deviceId]
+    });
+    const discovery = startDiscovery(store);
+    const accepted = new Set();
+
+    return new Promise((resolve) => {
+        const stop = (exitCode) => {
+            discovery.stop();
+            fileTransfer.stopServer();
+            resolve(exitCode);
+        };
+
+        fileTransfer.on('transferRequest', (request) => {
+            const { decision, reason } = isWanted(request.senderEmail)
+                ? decideTransfer(request, {
+                    autoAccept: options['auto-accept'] ? 'everyone' : 'my-devices',
+                    pairedDevices: store.getPairedDevices(),
+                    blockedDevices: store.getBlockedDevices(),
+                    collisionStrategy: collision
+                })
+                : { decision: DECISION.REJECT, reason: 'not-from' };
+
+            print({
+                event: 'request',
+                transferId: request.transferId,
+                from: { email: request.senderEmail, deviceId: request.deviceId },
+                fileName: request.fileName,
+                fileCount: request.fileCount,
+                totalSize: request.fileSize,
+                accepted: decision === DECISION.ACCEPT,
+                reason
+            });
+
+            if (decision === DECISION.ACCEPT) {
+                accepted.add(request.transferId);
+                fileTransfer.acceptTransfer(request.transferId, { collision });
+            } else {
+                fileTransfer.rejectTransfer(request.transferId);
+            }
+        });
+
+        fileTransfer.on('transferResumed', (request) => {
+            accepted.add(request.transferId);
+            print({ event: 'resumed', transferId: request.transferId, fileName: request.fileName });
+        });
+
+        fileTransfer.on('transferEnded', (data) => {
+            const entry = transferHistory.createHistoryEntry(data, {});
+            store.addHistoryEntry(entry);
+            print({ event: 'ended', ...entry });
+
+            if (options.once && accepted.has(data.transferId)) {
+                stop(OUTCOME_EXIT[entry.outcome]);
+            }
+        });
+
+        const interrupt = () => {
+            fileTransfer.getInboundQueue().forEach((item) => {
+                fileTransfer.cancelTransfer(item.transferId, 'Stopped on the command line');
+            });
+            stop(EXIT.OK);
+        };
+        process.once('SIGINT', interrupt);
+        process.once('SIGTERM', interrupt);
+
+        fileTransfer.startServer(email);
+        print({
+            event: 'listening',
+            deviceId: store.getDeviceId(),
+            deviceName: store.getDeviceName(),
+            email,
+            fingerprint: store.getDeviceFingerprint(),
+            dir: dir || settings.downloadLocation,
+            autoAccept: options['auto-accept'] ? 'everyone' : 'my-devices',
+            from
+        });
+    });
+}
+
+function configure(store, options) {
+    if (options.email !== undefined) {
+        const email = options.email.trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+$/.test(email)) throw usageError(`Not an email address: ${options.email}`);
+        store.setEmail(email);
+    }
+    if (options.name !== undefined) {
+        if (!options.name.trim()) throw usageError('The device name cannot be empty');
+        store.setDeviceName(options.name.trim());
+    }
+
+    print({
+        deviceId: store.getDeviceId(),
+        deviceName: store.getDeviceName(),
+        email: store.getEmail(),
+        fingerprint: store.getDeviceFingerprint(),
+        configPath: store.getStorePath()
+    });
+    return EXIT.OK;
+}
+
+async function main(argv) {
+    const { command, positional, options } = parseArgs(argv);
+
+    if (!command || command === 'help' || options.help) {
+        process.stdout.write(USAGE + '\n');
+        return EXIT.OK;
+    }
+
+    // The library logs as it goes; keep stdout for JSON
+    if (options.verbose) {
+        console.log = console.info = (...args) => console.error(...args);
+    } else {
+        console.log = console.info = console.warn = console.error = () => {};
+    }
+
+    // store.js picks its file when it is loaded
+    if (options.config) process.env.FILEWAY_CONFIG = path.resolve(options.config);
+    const store = require('./store');
+    store.initializeDevice();
+
+    switch (command) {
+        case 'devices': return listDevices(store, options);
+        case 'send': return send(store, positional, options);
+        case 'receive': return receive(store, options);
+        case 'config': return configure(store, options);
+        default: throw usageError(`Unknown command "${command}"\n${USAGE}`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then((exitCode) => process.exit(exitCode))
+    .catch((err) => {
+        print({ error: err.message, code: err.code || null });
+        process.exit(err.exitCode || EXIT.FAILED);
+    });
@@ -0,0 +1,95 @@
+/**
+ * compression.js - Optional compression of file data in transit
+ * The sender offers the algorithms it can use and the receiver picks one
+ * for the transfer. Every chunk is compressed on its own, so it can be
+ * decoded the moment it arrives, and a chunk that does not shrink is sent
+ * as it is. Files that are compressed already are not even tried.
+ */
+
+const zlib = require('zlib');
+const path = require('path');
+
+// In order of preference
+const ALGORITHMS = ['br', 'gzip'];
+
+const MAX_CHUNK_SIZE = 1024 * 1024; // a chunk never expands past this when decoded
+
+const COMPRESSED_EXTENSIONS = new Set([
+    // Archives
+    '.zip', '.gz', '.tgz', '.bz2', '.xz', '.zst', '.7z', '.rar', '.br', '.lz4',
+    // Images
+    '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif',
+    // Audio and video
+    '.mp3', '.aac', '.m4a', '.ogg', '.opus', '.flac', '.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi',
+    // Zip containers
+    '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.epub', '.jar', '.apk', '.msix'
+]);
+
+/**
+ * Whether a file is worth compressing, judged by its extension
+ */
+function isCompressible(relativePath) {
+    return !COMPRESSED_EXTENSIONS.has(path.extname(relativePath).toLowerCase());
+}
+
+/**
+ * The receiver's pick among the algorithms the sender offered, or null
+ */
+function chooseAlgorithm(offered) {
+    if (!Array.isArray(offered)) return null;
+    return ALGORITHMS.find(algorithm => offered.includes(algorithm)) || null;
+}
+
+/**
+ * Compress one chunk off the main thread
+ */
+function compressChunk(algorithm, chunk) {
+    return new Promise((resolve, reject) => {
+        const done = (err, result) => (err ? reject(err) : resolve(result));
+        if (algorithm === 'br') {
+            // Fast settings: the link, not the ratio, should be the limit
+            zlib.brotliCompress(chunk, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: chunk.length
+                }
+            }, done);
+        } else if (algorithm === 'gzip') {
+            zlib.gzip(chunk, { level: 6 }, done);
+        } else {
+            reject(new Error(`Unknown compression algorithm: ${algorithm}`));
+        }
+    });
+}
+
+/**
+ * Decode one chunk. Refuses output larger than any chunk a sender produces.
+ */
+function decompressChunk(algorithm, payload) {
+    const options = { maxOutputLength: MAX_CHUNK_SIZE };
+    if (algorithm === 'br') return zlib.brotliDecompressSync(payload, options);
+    if (algorithm === 'gzip') return zlib.gunzipSync(payload, options);
+    throw new Error(`Unknown compression algorithm: ${algorithm}`);
+}
+
+/**
+ * Summary for completion events: bytes of file data before and after compression
+ */
+function describeRatio(algorithm, originalBytes, transferredBytes) {
+    if (!algorithm) return null;
+    return {
+        algorithm,
+        originalBytes,
+        transferredBytes,
+        ratio: transferredBytes > 0 ? Math.round((originalBytes / transferredBytes) * 100) / 100 : 1
+    };
+}
+
+module.exports = {
+    ALGORITHMS,
+    isCompressible,
+    chooseAlgorithm,
+    compressChunk,
+    decompressChunk,
+    describeRatio
+};
@@ -1,22 +1,104 @@
 /**
- * discovery.js - LAN Device Discovery using UDP Broadcast
- * Broadcasts presence and listens for other Fileway devices
+ * discovery.js - LAN Device Discovery using UDP Broadcast and mDNS
+ * Broadcasts presence and listens for other Fileway devices, and advertises
+ * and browses the _fileway._tcp service over multicast DNS (see mdns.js)
+ * for networks that filter broadcast. Devices that neither reaches (another
+ * VLAN, an access point isolating clients) can be saved by address: they are
+ * sent a unicast hello and answer with a unicast presence packet. On IPv6
+ * the presence packets go to a link-local multicast group on every interface
+ * instead of a broadcast address. All of them end up in the same device list,
+ * one entry per device whichever address families reach it; each device says
+ * which mechanism found it.
+ *
+ * Announcements are signed with the device's identity key, the one its
+ * transfer connections are authenticated with. A device whose key is pinned
+ * (see fileTransfer.js) is verified against it, and timestamps only ever
+ * go up, so captured packets cannot be replayed. The one packet of a round
+ * goes out on both address families, so one copy of it in each counts.
  */
 
 const dgram = require('dgram');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
 const os = require('os');
 const EventEmitter = require('events');
+const MdnsService = require('./mdns');
+const { fitsTxt } = require('./mdns');
+const { TRANSFER_PORT } = require('./fileTransfer');
+const { exportPublicKey, DEVICE_ID_PATTERN } = require('./secureChannel');
 
 const DISCOVERY_PORT = 41234;
+const DISCOVERY_GROUP_V6 = 'ff02::114'; // link-local scope; ff0x::114 is set aside for experiments (RFC 4727)
 const BROADCAST_INTERVAL = 3000; // 3 seconds
 const DEVICE_TIMEOUT = 10000; // 10 seconds
+const PROBE_TIMEOUT = 3000; // how long a new address gets to answer a hello
+const MAX_CLOCK_SKEW = 2 * 60 * 1000; // signed announcements further off than this are refused
+
+/**
+ * IPv4 peers reaching an IPv6 socket show up as ::ffff:a.b.c.d
+ */
+function normalizeAddress(address) {
+    return String(address).replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Addresses a device was heard from recently, IPv4 first
+ */
+function currentAddresses(addresses) {
+    const now = Date.now();
+    return ['IPv4', 'IPv6']
+        .filter(family => addresses[family] && now - addresses[family].seenAt <= DEVICE_TIMEOUT)
+        .map(family => addresses[family].address);
+}
+
+/**
+ * Address to connect to: IPv4 while it answers, so a device seen over both
+ * does not switch back and forth, then IPv6
+ */
+function preferredAddress(addresses) {
+    const current = currentAddresses(addresses);
+    if (current.length > 0) return current[0];
+    return (addresses.IPv4 || addresses.IPv6).address;
+}
+
+/**
+ * What a presence signature covers. mDNS announcements sign their port as well.
+ */
+function presencePayload(data) {
+    return Buffer.from(JSON.stringify([
+        data.type,
+        data.deviceId,
+        data.deviceName,
+        data.email,
+        data.timestamp,
+        Boolean(data.direct),
+        data.port || null
+    ]));
+}
 
 class DeviceDiscovery extends EventEmitter {
-    constructor() {
+    /**
+     * @param options.identity this device's { publicKey, privateKey } to sign announcements with
+     * @param options.keyStore { get(deviceId) } of pinned peer keys to check announcements against
+     */
+    constructor(options = {}) {
         super();
+        this.identity = options.identity || null;
+        this.publicKey = this.identity ? exportPublicKey(this.identity.publicKey) : null;
+        this.keyStore = options.keyStore || { get: () => null };
+        this.lastAnnouncements = new Map(); // deviceId -> { timestamp, signature, families } of its last signed announcement
+        this.lastSentTimestamp = 0;
         this.socket = null;
+        this.socket6 = null;
         this.broadcastInterval = null;
         this.devices = new Map(); // deviceId -> deviceInfo
+        this.sightings = new Map(); // deviceId -> { broadcast, ipv6, mdns, direct }: when each mechanism last saw it
+        this.addresses = new Map(); // deviceId -> { IPv4, IPv6 }: { address, seenAt } last heard from in each family
+        this.savedHosts = new Map(); // host -> { address, deviceId, online, lastReply }, devices saved by address
+        this.probes = new Map(); // address -> callbacks waiting for its first answer
+        this.mdns = null;
+        this.transferPort = TRANSFER_PORT;
         this.myDeviceId = null;
         this.myDeviceName = null;
         this.myEmail = null;
@@ -25,13 +107,17 @@ class DeviceDiscovery extends EventEmitter {
 
     /**
      * Start discovery service
+     * @param options.transferPort port this device takes transfers on, advertised over mDNS
+     * @param options.savedHosts IP addresses or host names to say hello to directly
      */
-    start(deviceId, deviceName, email) {
+    start(deviceId, deviceName, email, options = {}) {
         if (this.isRunning) return;
 
         this.myDeviceId = deviceId;
         this.myDeviceName = deviceName;
         this.myEmail = email;
+        this.transferPort = options.transferPort || TRANSFER_PORT;
+        this.setSavedHosts(options.savedHosts || []);
 
         this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
 
@@ -53,6 +139,9 @@ class DeviceDiscovery extends EventEmitter {
         this.socket.bind(DISCOVERY_PORT);
         this.isRunning = true;
 
+        this.startIpv6();
+        this.startMdns();
+
         // Start cleanup interval
         this.cleanupInterval = setInterval(() => {
             this.cleanupStaleDevices();
@@ -80,10 +169,109 @@ class DeviceDiscovery extends EventEmitter {
             this.socket = null;
         }
 
+        if (this.socket6) {
+            this.socket6.close();
+            this.socket6 = null;
+        }
+
+        if (this.mdnsInterval) {
+            clearInterval(this.mdnsInterval);
+            this.mdnsInterval = null;
+        }
+
+        if (this.mdns) {
+            this.mdns.stop();
+            this.mdns = null;
+        }
+
+        for (const callbacks of this.probes.values()) {
+            callbacks.forEach(callback => callback(null));
+        }
+        this.probes.clear();
+
         this.devices.clear();
+        this.sightings.clear();
+        this.addresses.clear();
         this.isRunning = false;
     }
 
+    /**
+     * Listen on the IPv6 multicast group of every interface. Machines without
+     * IPv6 just keep using IPv4.
+     */
+    startIpv6() {
+        const socket = dgram.createSocket({ type: 'udp6', reuseAddr: true, ipv6Only: true });
+        this.socket6 = socket;
+
+        socket.on('error', (err) => {
+            console.error('IPv6 discovery socket error:', err.message);
+            socket.close();
+            if (this.socket6 === socket) this.socket6 = null;
+        });
+
+        socket.on('message', (msg, rinfo) => {
+            this.handleMessage(msg, rinfo, socket);
+        });
+
+        socket.on('listening', () => {
+            for (const scope of this.getIpv6Scopes()) {
+                try {
+                    socket.addMembership(DISCOVERY_GROUP_V6, `::%${scope}`);
+                } catch (err) {
+                    // Interface without multicast
+                }
+            }
+        });
+
+        socket.bind(DISCOVERY_PORT);
+    }
+
+    /**
+     * Advertise this device over mDNS and ask for others as often as we broadcast
+     */
+    startMdns() {
+        this.mdns = new MdnsService();
+
+        const fromTxt = (service) => ({
+            type: 'mdns',
+            deviceId: service.txt.id,
+            deviceName: service.txt.name,
+            email: service.txt.email,
+            timestamp: Number(service.txt.ts) || undefined,
+            port: service.port,
+            key: service.txt.key,
+            signature: service.txt.sig
+        });
+
+        this.mdns.on('service', (service) => {
+            this.updateDevice(fromTxt(service), service.address, 'mdns', service.port);
+        });
+
+        this.mdns.on('goodbye', (service) => {
+            const data = fromTxt(service);
+            if (data.deviceId !== this.myDeviceId && this.checkPresence(data, service.address)) {
+                this.forgetSighting(data.deviceId, 'mdns');
+            }
+        });
+
+        this.mdns.on('ready', () => this.mdns.query());
+        this.mdnsInterval = setInterval(() => this.mdns && this.mdns.query(), BROADCAST_INTERVAL);
+
+        // Nothing to advertise until signed in, like the presence packets
+        this.mdns.start(() => {
+            if (!this.myEmail) return null;
+
+            const data = this.signPresence({ type: 'mdns', port: this.transferPort });
+            const txt = { id: data.deviceId, name: data.deviceName, email: data.email, ts: data.timestamp };
+            if (data.signature) Object.assign(txt, { key: data.key, sig: data.signature });
+
+            // A name or email too long for TXT would be cut and never verify;
+            // such a device is only found by the presence packets
+            if (!Object.entries(txt).every(([key, value]) => fitsTxt(key, value))) return null;
+            return { id: this.myDeviceId, port: this.transferPort, txt };
+        });
+    }
+
     /**
      * Update email (after login)
      */
@@ -105,13 +293,7 @@ class DeviceDiscovery extends EventEmitter {
         const broadcast = () => {
             if (!this.socket || !this.myEmail) return;
 
-            const message = JSON.stringify({
-                type: 'presence',
-                deviceId: this.myDeviceId,
-                deviceName: this.myDeviceName,
-                email: this.myEmail,
-                timestamp: Date.now()
-            });
+            const message = this.createPresence('presence');
 
             const broadcastAddresses = this.getBroadcastAddresses();
             
@@ -120,6 +302,19 @@ class DeviceDiscovery extends EventEmitter {
                     if (err) console.error('Broadcast error:', err);
                 });
             });
+
+            if (this.socket6) {
+                this.getIpv6Scopes().forEach(scope => {
+                    this.socket6.send(message, DISCOVERY_PORT, `${DISCOVERY_GROUP_V6}%${scope}`, () => {
+                        // Interfaces come and go; the next round tries again
+                    });
+                });
+            }
+
+            // Saved devices are rechecked as often
+            for (const host of this.savedHosts.keys()) {
+                this.sayHello(host).catch(() => {});
+            }
         };
 
         // Broadcast immediately
@@ -129,6 +324,188 @@ class DeviceDiscovery extends EventEmitter {
         this.broadcastInterval = setInterval(broadcast, BROADCAST_INTERVAL);
     }
 
+    /**
+     * Presence packet, or the hello asking a saved device for one
+     */
+    createPresence(type, extra = {}) {
+        return JSON.stringify(this.signPresence({ type, ...extra }));
+    }
+
+    /**
+     * Announcement of this device, signed when it has an identity.
+     * Every one gets a later timestamp than the last, even within a millisecond.
+     */
+    signPresence(fields) {
+        const timestamp = Math.max(Date.now(), this.lastSentTimestamp + 1);
+        this.lastSentTimestamp = timestamp;
+
+        const data = {
+            deviceId: this.myDeviceId,
+            deviceName: this.myDeviceName,
+            email: this.myEmail,
+            timestamp,
+            ...fields
+        };
+        if (this.identity) {
+            data.key = this.publicKey;
+            data.signature = crypto.sign(null, presencePayload(data), this.identity.privateKey).toString('base64');
+        }
+        return data;
+    }
+
+    /**
+     * Check an announcement: its signature, the pinned key of the device and
+     * that it is newer than the last one. Devices that do not sign (older
+     * versions) are let in as 'unverified', unless they are known to sign.
+     * @returns 'verified', 'unpinned' (signed, key not pinned yet), 'unverified', or null to drop it
+     */
+    checkPresence(data, address) {
+        const pinned = this.keyStore.get(data.deviceId);
+        const reject = (reason) => {
+            this.emit('presenceRejected', { deviceId: data.deviceId, email: data.email, address, reason });
+            return null;
+        };
+
+        if (!data.signature) {
+            return pinned || this.lastAnnouncements.has(data.deviceId) ? reject('unsigned') : 'unverified';
+        }
+
+        let valid = false;
+        try {
+            const key = crypto.createPublicKey({ key: Buffer.from(String(data.key), 'base64'), format: 'der', type: 'spki' });
+            valid = crypto.verify(null, presencePayload(data), key, Buffer.from(String(data.signature), 'base64'));
+        } catch (err) {
+            // Not a key
+        }
+        if (!valid) return reject('bad-signature');
+        if (pinned && pinned.publicKey !== data.key) return reject('key-changed');
+
+        if (!Number.isFinite(data.timestamp) || Math.abs(Date.now() - data.timestamp) > MAX_CLOCK_SKEW) {
+            return reject('clock');
+        }
+
+        // The last announcement goes out once per address family, so one copy
+        // of it in each family is a sighting; anything else not newer is a replay
+        const family = net.isIPv6(normalizeAddress(address)) ? 'IPv6' : 'IPv4';
+        const last = this.lastAnnouncements.get(data.deviceId);
+        if (last && data.timestamp <= last.timestamp) {
+            const copy = data.timestamp === last.timestamp && data.signature === last.signature;
+            if (!copy || last.families.has(family)) return reject('replayed');
+            last.families.add(family);
+        } else {
+            this.lastAnnouncements.set(data.deviceId, {
+                timestamp: data.timestamp,
+                signature: data.signature,
+                families: new Set([family])
+            });
+        }
+
+        return pinned ? 'verified' : 'unpinned';
+    }
+
+    /**
+     * Send a hello to an IP address or host name, resolving to the address it went to
+     */
+    sayHello(host) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.myEmail) {
+                reject(new Error('Discovery is not running'));
+                return;
+            }
+
+            dns.lookup(host, (err, address, family) => {
+                if (err) {
+                    reject(new Error(`Could not find ${host} on the network`));
+                    return;
+                }
+                const socket = family === 6 ? this.socket6 : this.socket;
+                if (!socket) {
+                    reject(new Error(family === 6 ? 'IPv6 is not available on this computer' : 'Discovery is not running'));
+                    return;
+                }
+
+                // A literal link-local address keeps the interface it was typed with
+                if (family === 6 && host.includes('%')) address = host;
+
+                const saved = this.savedHosts.get(host);
+                if (saved) saved.address = address;
+
+                socket.send(this.createPresence('hello'), DISCOVERY_PORT, address, (sendErr) => {
+                    if (sendErr) reject(new Error(`Could not reach ${host}: ${sendErr.message}`));
+                    else resolve(address);
+                });
+            });
+        });
+    }
+
+    /**
+     * Check that a Fileway device answers at an address, before saving it
+     * @returns the device that answered
+     */
+    async probeHost(host) {
+        const address = await this.sayHello(host);
+
+        const device = await new Promise((resolve) => {
+            const callbacks = this.probes.get(address) || [];
+            const timer = setTimeout(() => done(null), PROBE_TIMEOUT);
+            const done = (answer) => {
+                clearTimeout(timer);
+                const waiting = (this.probes.get(address) || []).filter(callback => callback !== done);
+                if (waiting.length > 0) this.probes.set(address, waiting);
+                else this.probes.delete(address);
+                resolve(answer);
+            };
+            callbacks.push(done);
+            this.probes.set(address, callbacks);
+        });
+
+        if (!device) {
+            throw new Error(`No Fileway device answered at ${host}`);
+        }
+        return device;
+    }
+
+    /**
+     * Replace the addresses of saved devices, keeping what is known about the ones still saved
+     */
+    setSavedHosts(hosts) {
+        const savedHosts = new Map();
+        for (const host of hosts) {
+            savedHosts.set(host, this.savedHosts.get(host) || { address: null, deviceId: null, online: false, lastReply: null });
+        }
+        this.savedHosts = savedHosts;
+
+        for (const host of this.savedHosts.keys()) {
+            this.sayHello(host).catch(() => {});
+        }
+        this.emit('savedDevicesUpdated', this.getSavedHostStatus());
+    }
+
+    /**
+     * Whether each saved device answered recently, and which device answered
+     */
+    getSavedHostStatus() {
+        return Array.from(this.savedHosts, ([host, saved]) => ({ host, ...saved }));
+    }
+
+    /**
+     * Interfaces with IPv6, as the zone to append to link-local addresses.
+     * Windows only understands interface numbers there.
+     */
+    getIpv6Scopes() {
+        const scopes = new Set();
+        const interfaces = os.networkInterfaces();
+
+        for (const name of Object.keys(interfaces)) {
+            for (const iface of interfaces[name]) {
+                if (iface.internal || iface.family !== 'IPv6') continue;
+                scopes.add(process.platform === 'win32' ? String(iface.scopeid) : name);
+            }
+        }
+
+        return Array.from(scopes);
+    }
+
     /**
      * Get all broadcast addresses for local networks
      */
@@ -160,34 +537,125 @@ class DeviceDiscovery extends EventEmitter {
     /**
      * Handle incoming discovery message
      */
-    handleMessage(msg, rinfo) {
+    handleMessage(msg, rinfo, socket = this.socket) {
         try {
             const data = JSON.parse(msg.toString());
 
-            if (data.type !== 'presence') return;
-            if (data.deviceId === this.myDeviceId) return; // Ignore own messages
-
-            const deviceInfo = {
-                deviceId: data.deviceId,
-                deviceName: data.deviceName,
-                email: data.email,
-                ip: rinfo.address,
-                lastSeen: Date.now()
-            };
+            if (data.type === 'hello') {
+                this.handleHello(data, rinfo, socket);
+                return;
+            }
 
-            const isNew = !this.devices.has(data.deviceId);
-            this.devices.set(data.deviceId, deviceInfo);
+            if (data.type !== 'presence') return;
 
-            if (isNew) {
-                this.emit('deviceFound', deviceInfo);
+            if (data.direct) {
+                this.handleDirectPresence(data, rinfo);
+            } else {
+                this.updateDevice(data, rinfo.address, rinfo.family === 'IPv6' ? 'ipv6' : 'broadcast');
             }
-
-            this.emit('devicesUpdated', this.getDeviceList());
         } catch (err) {
             // Ignore malformed messages
         }
     }
 
+    /**
+     * Another device saved this one by address: answer it directly.
+     * Reaching us proves it can be reached back, so it is listed as well.
+     */
+    handleHello(data, rinfo, socket) {
+        if (!socket || !this.myEmail || data.deviceId === this.myDeviceId) return;
+
+        socket.send(this.createPresence('presence', { direct: true }), rinfo.port, rinfo.address, (err) => {
+            if (err) console.error('Discovery reply error:', err);
+        });
+        this.updateDevice(data, rinfo.address, 'direct');
+    }
+
+    /**
+     * Answer to one of our hellos
+     */
+    handleDirectPresence(data, rinfo) {
+        const device = this.updateDevice(data, rinfo.address, 'direct');
+        if (!device) return;
+
+        (this.probes.get(rinfo.address) || []).slice().forEach(callback => callback(device));
+
+        let changed = false;
+        for (const saved of this.savedHosts.values()) {
+            if (saved.address !== rinfo.address) continue;
+            changed = changed || !saved.online || saved.deviceId !== data.deviceId;
+            saved.deviceId = data.deviceId;
+            saved.online = true;
+            saved.lastReply = Date.now();
+        }
+        if (changed) {
+            this.emit('savedDevicesUpdated', this.getSavedHostStatus());
+        }
+    }
+
+    /**
+     * Record a device seen by one of the mechanisms ('broadcast', 'mdns' or 'direct').
+     * Presence packets do not say the transfer port; devices use the default one.
+     * @returns the device, or null if the announcement was refused
+     */
+    updateDevice(data, ip, mechanism, port = null) {
+        // The same IDs the transfer handshake takes; they end up in the UI
+        if (typeof data.deviceId !== 'string' || !DEVICE_ID_PATTERN.test(data.deviceId) || !data.email) return null;
+        if (data.deviceId === this.myDeviceId) return null; // Ignore own messages
+
+        const verification = this.checkPresence(data, ip);
+        if (!verification) return null;
+
+        const previous = this.devices.get(data.deviceId);
+        const sightings = { ...this.sightings.get(data.deviceId), [mechanism]: Date.now() };
+        this.sightings.set(data.deviceId, sightings);
+
+        const address = normalizeAddress(ip);
+        const addresses = { ...this.addresses.get(data.deviceId), [net.isIPv6(address) ? 'IPv6' : 'IPv4']: { address, seenAt: Date.now() } };
+        this.addresses.set(data.deviceId, addresses);
+
+        const deviceInfo = {
+            deviceId: data.deviceId,
+            deviceName: data.deviceName,
+            email: data.email,
+            ip: preferredAddress(addresses),
+            addresses: currentAddresses(addresses),
+            port: port || (previous ? previous.port : TRANSFER_PORT),
+            foundBy: Object.keys(sightings).sort(),
+            verification,
+            lastSeen: Date.now()
+        };
+
+        this.devices.set(data.deviceId, deviceInfo);
+
+        if (!previous) {
+            this.emit('deviceFound', deviceInfo);
+        }
+
+        this.emit('devicesUpdated', this.getDeviceList());
+        return deviceInfo;
+    }
+
+    /**
+     * One mechanism no longer sees a device; it is lost once none does
+     */
+    forgetSighting(deviceId, mechanism) {
+        const sightings = this.sightings.get(deviceId);
+        const info = this.devices.get(deviceId);
+        if (!sightings || !info || !(mechanism in sightings)) return;
+
+        delete sightings[mechanism];
+        if (Object.keys(sightings).length === 0) {
+            this.devices.delete(deviceId);
+            this.sightings.delete(deviceId);
+            this.addresses.delete(deviceId);
+            this.emit('deviceLost', info);
+        } else {
+            info.foundBy = Object.keys(sightings).sort();
+        }
+        this.emit('devicesUpdated', this.getDeviceList());
+    }
+
     /**
      * Remove devices that haven't been seen recently
      */
@@ -196,16 +664,40 @@ class DeviceDiscovery extends EventEmitter {
         let changed = false;
 
         for (const [deviceId, info] of this.devices) {
-            if (now - info.lastSeen > DEVICE_TIMEOUT) {
+            const sightings = this.sightings.get(deviceId) || {};
+            const stale = Object.keys(sightings).filter(mechanism => now - sightings[mechanism] > DEVICE_TIMEOUT);
+            if (stale.length === 0) continue;
+
+            stale.forEach(mechanism => delete sightings[mechanism]);
+            if (Object.keys(sightings).length === 0) {
                 this.devices.delete(deviceId);
+                this.sightings.delete(deviceId);
+                this.addresses.delete(deviceId);
                 this.emit('deviceLost', info);
-                changed = true;
+            } else {
+                const addresses = this.addresses.get(deviceId);
+                info.foundBy = Object.keys(sightings).sort();
+                info.ip = preferredAddress(addresses);
+                info.addresses = currentAddresses(addresses);
             }
+            changed = true;
         }
 
         if (changed) {
             this.emit('devicesUpdated', this.getDeviceList());
         }
+
+        // Saved devices that stopped answering
+        let savedChanged = false;
+        for (const saved of this.savedHosts.values()) {
+            if (saved.online && now - saved.lastReply > DEVICE_TIMEOUT) {
+                saved.online = false;
+                savedChanged = true;
+            }
+        }
+        if (savedChanged) {
+            this.emit('savedDevicesUpdated', this.getSavedHostStatus());
+        }
     }
 
     /**
@@ -219,12 +711,12 @@ class DeviceDiscovery extends EventEmitter {
      * Find device by email
      */
     findDeviceByEmail(email) {
-        for (const device of this.devices.values()) {
-            if (device.email === email) {
-                return device;
-            }
-        }
-        return null;
+        // Anyone can claim an email; prefer devices whose key is known
+        const rank = { verified: 0, unpinned: 1, unverified: 2 };
+        const matches = this.getDeviceList()
+            .filter(device => device.email === email)
+            .sort((a, b) => rank[a.verification] - rank[b.verification]);
+        return matches[0] || null;
     }
 
     /**
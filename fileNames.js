@@ -0,0 +1,76 @@
+/**
+ * fileNames.js - Make sender-supplied names safe to create on disk
+ * Names arrive from another machine, so every path segment is cleaned of
+ * separators, control characters and names Windows reserves for devices.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Characters Windows does not allow in file names, plus control characters
+const INVALID_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+// Device names are reserved with any extension ("con.txt" is the console too)
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³]|conin\$|conout\$)$/i;
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Clean a single file or folder name
+ */
+function sanitizeFileName(name) {
+    let safe = String(name).normalize('NFC').replace(INVALID_CHARACTERS, '_');
+
+    // Windows silently drops trailing dots and spaces, which would change the name
+    safe = safe.replace(/[. ]+$/, '');
+    if (safe === '') safe = '_';
+
+    if (RESERVED_NAMES.test(safe.split('.')[0])) {
+        safe = '_' + safe;
+    }
+
+    if (safe.length > MAX_NAME_LENGTH) {
+        const extension = path.extname(safe);
+        safe = extension.length < MAX_NAME_LENGTH / 2
+            ? safe.slice(0, MAX_NAME_LENGTH - extension.length) + extension
+            : safe.slice(0, MAX_NAME_LENGTH);
+    }
+
+    return safe;
+}
+
+/**
+ * Clean a manifest path ('/' separated). Empty, '.' and '..' segments are
+ * never legitimate, so they are refused rather than repaired.
+ */
+function sanitizeRelativePath(relativePath) {
+    if (typeof relativePath !== 'string' || relativePath === '') {
+        throw new Error('Invalid file name in manifest');
+    }
+
+    const segments = relativePath.split('/');
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        throw new Error('Unsafe path in manifest: ' + relativePath);
+    }
+
+    return segments.map(sanitizeFileName).join('/');
+}
+
+/**
+ * First "name (n).ext" next to filePath that does not exist yet
+ */
+function findAvailablePath(filePath) {
+    if (!fs.existsSync(filePath)) return filePath;
+
+    const extension = path.extname(filePath);
+    const stem = extension ? filePath.slice(0, -extension.length) : filePath;
+
+    for (let n = 1; ; n++) {
+        const candidate = `${stem} (${n})${extension}`;
+        if (!fs.existsSync(candidate)) return candidate;
+    }
+}
+
+module.exports = {
+    sanitizeFileName,
+    sanitizeRelativePath,
+    findAvailablePath
+};
@@ -0,0 +1,65 @@
+/**
+ * fileStore.js - Plain JSON file storage with the get/set/has/delete part
+ * of the electron-store interface, for running without Electron (see cli.js)
+ * Like electron-store, every call reads the file again, so two processes
+ * sharing it see each other's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+    /**
+     * @param options.path JSON file holding the data
+     * @param options.defaults values for keys the file does not have yet
+     */
+    constructor(options) {
+        this.path = options.path;
+        this.defaults = options.defaults || {};
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return {};
+            throw new Error(`Could not read ${this.path}: ${err.message}`);
+        }
+    }
+
+    /**
+     * A copy of the stored value, so changing it does not change the store
+     */
+    get(key) {
+        const data = this.read();
+        const value = key in data ? data[key] : this.defaults[key];
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    has(key) {
+        return key in this.read();
+    }
+
+    set(key, value) {
+        const data = this.read();
+        data[key] = value;
+        this.write(data);
+    }
+
+    delete(key) {
+        const data = this.read();
+        delete data[key];
+        this.write(data);
+    }
+
+    write(data) {
+        // Write a new file and swap it in, so a crash never leaves half a file.
+        // It holds this device's private key: only the user may read it.
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.path);
+    }
+}
+
+module.exports = FileStore;
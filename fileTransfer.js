@@ -5,21 +5,356 @@
 
 const net = require('net');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const os = require('os');
 const EventEmitter = require('events');
+const SecureChannel = require('./secureChannel');
+const { FRAME, FRAME_NAMES } = require('./protocol');
+const { sanitizeRelativePath, findAvailablePath } = require('./fileNames');
+const compression = require('./compression');
 
 const TRANSFER_PORT = 41235;
 const CHUNK_SIZE = 64 * 1024; // 64KB chunks
+const HASH_BLOCK_SIZE = 4 * 1024 * 1024; // 4MB blocks, each hashed separately
+const PART_EXTENSION = '.part';
+const RESUME_DIR = '.fileway-partial';
+const RESUME_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled on every attempt
+const RETRY_MAX_DELAY = 30000; // 30 seconds
+const PAIRING_TIMEOUT = 2 * 60 * 1000; // 2 minutes for the other side to confirm
+const REQUEST_TIMEOUT = 30 * 1000; // for requests answered without asking the user
+const MAX_TEXT_LENGTH = 100 * 1024; // characters in a text snippet; longer text goes as a file
+const MAX_TRANSFER_ID_LENGTH = 64;
+const TRANSFER_ID_PATTERN = new RegExp(`^[\\w-]{1,${MAX_TRANSFER_ID_LENGTH}}$`); // IDs come from the other device and end up in the UI
+const DEFAULT_MAX_ACTIVE_RECEIVES = 2;
+const STRIPE_MIN_SIZE = 64 * 1024 * 1024; // only files this large are split across connections
+const MAX_STRIPES = 8;
+const INCOMPRESSIBLE_PROBE_CHUNKS = 16; // chunks tried before giving up on compressing a file
+
+/**
+ * Build a transfer manifest from a list of files and folders.
+ * Folders are walked recursively and their files keep their path
+ * relative to the folder's parent, so the structure can be rebuilt.
+ * With baseDir, every path is relative to that folder instead.
+ */
+function buildManifest(paths, baseDir = null) {
+    const files = [];
+
+    const walk = (absolutePath, relativePath) => {
+        const stats = fs.statSync(absolutePath);
+
+        if (stats.isDirectory()) {
+            for (const entry of fs.readdirSync(absolutePath)) {
+                walk(path.join(absolutePath, entry), relativePath + '/' + entry);
+            }
+        } else if (stats.isFile()) {
+            files.push({ absolutePath, relativePath, size: stats.size, modified: stats.mtimeMs });
+        }
+    };
+
+    for (const selectedPath of paths) {
+        walk(selectedPath, baseDir
+            ? path.relative(baseDir, selectedPath).split(path.sep).join('/')
+            : path.basename(selectedPath));
+    }
+
+    return files;
+}
+
+/**
+ * Short human readable label for a set of manifest entries
+ */
+function describeFiles(files) {
+    if (files.length === 1) {
+        return path.posix.basename(files[0].relativePath);
+    }
+
+    const roots = new Set(files.map(file => file.relativePath.split('/')[0]));
+    if (roots.size === 1 && files[0].relativePath.includes('/')) {
+        return roots.values().next().value;
+    }
+
+    return `${files.length} files`;
+}
+
+/**
+ * Final location of a manifest entry under its destination folder
+ */
+function getTargetPath(root, file) {
+    return path.join(root, ...file.relativePath.split('/'));
+}
+
+/**
+ * The destination shared by every file of a session, or null if rules split it up
+ */
+function commonRoot(roots) {
+    return roots.every(root => root === roots[0]) ? roots[0] : null;
+}
+
+/**
+ * Stable key identifying a session across retries.
+ * Changes whenever any file is renamed, resized or modified.
+ */
+function createResumeKey(senderEmail, files) {
+    const hash = crypto.createHash('sha256');
+    hash.update(String(senderEmail));
+    for (const file of files) {
+        hash.update('\0' + file.relativePath + '\0' + file.size + '\0' + file.modified);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Incremental SHA-256 of a whole file plus every HASH_BLOCK_SIZE block
+ * in it, so corruption can be spotted long before the last byte arrives
+ */
+class BlockHasher {
+    constructor(fileHash = crypto.createHash('sha256'), blockCount = 0) {
+        this.fileHash = fileHash;
+        this.blockHash = crypto.createHash('sha256');
+        this.blockBytes = 0;
+        this.blockCount = blockCount;
+        this.blockHashes = [];
+    }
+
+    update(chunk) {
+        this.fileHash.update(chunk);
+
+        let offset = 0;
+        while (offset < chunk.length) {
+            const slice = chunk.subarray(offset, offset + (HASH_BLOCK_SIZE - this.blockBytes));
+            this.blockHash.update(slice);
+            this.blockBytes += slice.length;
+            offset += slice.length;
+
+            if (this.blockBytes === HASH_BLOCK_SIZE) {
+                this.endBlock();
+            }
+        }
+    }
+
+    /**
+     * Hashes of the blocks finished since the last call
+     */
+    takeBlockHashes() {
+        const blockHashes = this.blockHashes;
+        this.blockHashes = [];
+        return blockHashes;
+    }
+
+    endBlock() {
+        this.blockHashes.push(this.blockHash.digest('hex'));
+        this.blockHash = crypto.createHash('sha256');
+        this.blockBytes = 0;
+        this.blockCount++;
+    }
+
+    /**
+     * Close the trailing partial block and return the whole-file hash
+     */
+    digest() {
+        if (this.blockBytes > 0) this.endBlock();
+        return this.fileHash.digest('hex');
+    }
+}
+
+/**
+ * Hash a file on disk (whole file and per block).
+ * Stops early, rejecting with a 'cancelled' error, once shouldStop() returns true.
+ */
+function hashFile(filePath, shouldStop = () => false) {
+    return new Promise((resolve, reject) => {
+        const hasher = new BlockHasher();
+        const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE * 16 });
+
+        stream.on('data', (chunk) => {
+            if (shouldStop()) {
+                stream.destroy();
+                reject(createCancelledError());
+                return;
+            }
+            hasher.update(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => {
+            const sha256 = hasher.digest();
+            resolve({ sha256, blockHashes: hasher.blockHashes });
+        });
+    });
+}
+
+/**
+ * Error used to unwind a send session that was cancelled on this side
+ */
+function createCancelledError() {
+    return Object.assign(new Error('Transfer cancelled'), { code: 'cancelled', retryable: false });
+}
+
+/**
+ * Short name for a text snippet in lists and history: its first line
+ */
+function describeText(text) {
+    const firstLine = text.trim().split(/\r?\n/)[0] || 'Text';
+    return firstLine.length > 60 ? `${firstLine.slice(0, 60)}…` : firstLine;
+}
+
+/**
+ * Remove the .part files of every file not completed yet
+ */
+function removePartialFiles(files, roots, completed) {
+    files.forEach((file, index) => {
+        if (completed.includes(index)) return;
+        try {
+            fs.unlinkSync(getTargetPath(roots[index], file) + PART_EXTENSION);
+        } catch (err) {
+            // Ignore if file doesn't exist
+        }
+    });
+}
+
+/**
+ * File list of a finished transfer: name, size, hash and where it is on this device
+ */
+function summarizeFiles(files, paths = []) {
+    return files.map((file, index) => ({
+        relativePath: file.relativePath,
+        size: file.size,
+        sha256: file.sha256 || null,
+        path: paths[index] || null
+    }));
+}
+
+/**
+ * Whether a file goes over a session's extra connections. Both sides decide
+ * this from the same offsets, so they agree without asking each other.
+ * Files patched from an older copy stay on the main connection.
+ */
+function isStriped(stripes, file, offset, reusable) {
+    return Boolean(stripes) && reusable.size === 0 && file.size - offset >= STRIPE_MIN_SIZE;
+}
+
+/**
+ * Blocks of a file that the receiver's older copy already has, going by the
+ * block hashes the receiver sent for it. Both sides work this out the same way.
+ */
+function findReusableBlocks(file, signatures) {
+    const reusable = new Set();
+    if (!Array.isArray(signatures)) return reusable;
+    file.blockHashes.forEach((hash, block) => {
+        if (signatures[block] === hash) reusable.add(block);
+    });
+    return reusable;
+}
+
+/**
+ * Read one block of a file on this device
+ */
+async function readBlock(filePath, position, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const data = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(data, 0, length, position);
+        if (bytesRead < length) throw new Error('the file is shorter than before');
+        return data;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Resolves once neither side has the send session paused
+ */
+function whenUnpaused(session) {
+    return new Promise(resolve => {
+        if (session.pausedBy.length === 0) {
+            resolve();
+        } else {
+            session.continueSending.push(resolve);
+        }
+    });
+}
+
+/**
+ * Close a striped file once the block writes still in flight are done
+ */
+function closeStripedFile(striped, callback = () => {}) {
+    striped.onIdle = () => fs.close(striped.fd, callback);
+    if (striped.writes === 0) striped.onIdle();
+}
+
+/**
+ * Add or remove one side ('sender' or 'receiver') from a session's pausedBy list.
+ * Returns false if that side's pause was already in that state.
+ */
+function setPausedBy(session, side, paused) {
+    if (session.pausedBy.includes(side) === paused) return false;
+    session.pausedBy = paused
+        ? session.pausedBy.concat(side)
+        : session.pausedBy.filter(other => other !== side);
+    return true;
+}
+
+// What the other side must support to answer a one-off request
+const REQUEST_FEATURES = {
+    [FRAME.SYNC_INDEX]: { capability: 'sync', name: 'folder sync' },
+    [FRAME.SYNC_FETCH]: { capability: 'sync', name: 'folder sync' },
+    [FRAME.TEXT]: { capability: 'text', name: 'text snippets' }
+};
+
+function isSha256(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+/**
+ * Whether a transfer ID from another device is safe to keep and show
+ */
+function isTransferId(value) {
+    return typeof value === 'string' && TRANSFER_ID_PATTERN.test(value);
+}
+
+/**
+ * In-memory pinned key store, used when no persistent one is supplied
+ */
+function createMemoryKeyStore() {
+    const keys = new Map();
+    return {
+        get: (deviceId) => keys.get(deviceId) || null,
+        set: (deviceId, record) => keys.set(deviceId, record)
+    };
+}
 
 class FileTransfer extends EventEmitter {
-    constructor() {
+    /**
+     * @param options.identity { deviceId, publicKey, privateKey } of this device
+     * @param options.keyStore { get(deviceId), set(deviceId, record) } for pinned peer keys
+     * @param options.receivePath default folder for incoming files
+     * @param options.resolveDestination (file, { email, deviceId, sync }) -> folder for that file
+     * @param options.maxActiveReceives how many incoming sessions may write at the same time
+     * @param options.port TCP port to listen on and connect to (benchmarks and tests)
+     * @param options.handleSyncRequest (type, message, peer) -> reply to a folder sync request (see folderSync.js)
+     * @param options.acceptText ({ deviceId, fingerprint, email }) -> whether to take a text snippet from that device
+     */
+    constructor(options = {}) {
         super();
+        this.identity = options.identity || { deviceId: crypto.randomUUID(), ...SecureChannel.generateIdentity() };
+        this.keyStore = options.keyStore || createMemoryKeyStore();
         this.server = null;
         this.myEmail = null;
-        this.pendingTransfer = null;
+        this.pendingTransfers = new Map(); // transferId -> request waiting for a decision or a free slot
         this.activeTransfers = new Map();
-        this.receivePath = path.join(os.homedir(), 'Downloads', 'Fileway');
+        this.outgoingTransfers = new Map(); // transferId -> send session
+        this.maxActiveReceives = options.maxActiveReceives || DEFAULT_MAX_ACTIVE_RECEIVES;
+        this.resumableSessions = new Set(); // resume keys accepted since startup
+        this.pendingPairings = new Map(); // requestId -> channel
+        this.receivePath = options.receivePath || path.join(os.homedir(), 'Downloads', 'Fileway');
+        this.resolveDestination = options.resolveDestination || (() => this.receivePath);
+        this.port = options.port || TRANSFER_PORT;
+        this.handleSyncRequest = options.handleSyncRequest || (() => {
+            throw Object.assign(new Error('Folder sync is not enabled on this device'), { code: 'sync-unavailable' });
+        });
+        this.acceptText = options.acceptText || (() => true);
     }
 
     /**
@@ -34,6 +369,7 @@ class FileTransfer extends EventEmitter {
         if (!fs.existsSync(this.receivePath)) {
             fs.mkdirSync(this.receivePath, { recursive: true });
         }
+        this.cleanupResumeRecords();
 
         this.server = net.createServer((socket) => {
             this.handleIncomingConnection(socket);
@@ -43,11 +379,32 @@ class FileTransfer extends EventEmitter {
             console.error('Transfer server error:', err);
         });
 
-        this.server.listen(TRANSFER_PORT, () => {
-            console.log('File transfer server listening on port', TRANSFER_PORT);
+        // Without a host this is :: with IPv4 mapped in (both address families),
+        // or 0.0.0.0 where IPv6 is off. Peers reached by link-local IPv6
+        // addresses are dialled with their zone, as fe80::1%eth0.
+        this.server.listen({ port: this.port, ipv6Only: false }, () => {
+            console.log('File transfer server listening on port', this.port);
         });
     }
 
+    /**
+     * Change where incoming files go. Sessions already in progress keep
+     * writing to the folders chosen when they were accepted.
+     */
+    setReceivePath(receivePath) {
+        this.receivePath = receivePath;
+        fs.mkdirSync(receivePath, { recursive: true });
+        this.cleanupResumeRecords();
+    }
+
+    /**
+     * Change how many incoming sessions may run at once
+     */
+    setMaxActiveReceives(limit) {
+        this.maxActiveReceives = Math.max(1, limit);
+        this.startQueuedTransfers();
+    }
+
     /**
      * Stop the file transfer server
      */
@@ -58,265 +415,2238 @@ class FileTransfer extends EventEmitter {
         }
     }
 
+    /**
+     * Check an authenticated peer against its pinned key.
+     * Unknown devices are pinned on first contact; a different key for a
+     * known device is refused.
+     */
+    checkPeerKey(peer) {
+        const pinned = this.keyStore.get(peer.deviceId);
+
+        if (!pinned) {
+            this.keyStore.set(peer.deviceId, {
+                publicKey: peer.publicKey,
+                fingerprint: peer.fingerprint,
+                firstSeen: Date.now()
+            });
+            peer.firstContact = true;
+            this.emit('peerKeyPinned', peer);
+            return true;
+        }
+
+        peer.firstContact = false;
+        if (pinned.publicKey === peer.publicKey) return true;
+
+        this.emit('peerKeyChanged', {
+            deviceId: peer.deviceId,
+            expectedFingerprint: pinned.fingerprint,
+            fingerprint: peer.fingerprint
+        });
+        throw Object.assign(
+            new Error(`Security warning: device ${peer.deviceId} presented a different key than before (${peer.fingerprint}, expected ${pinned.fingerprint})`),
+            { code: 'peer-key-changed', retryable: false }
+        );
+    }
+
+    /**
+     * Wrap a raw socket in an encrypted, authenticated channel
+     */
+    createChannel(socket, initiator, verifyPeer = (peer) => this.checkPeerKey(peer)) {
+        return new SecureChannel(socket, {
+            identity: this.identity,
+            initiator,
+            verifyPeer
+        });
+    }
+
+    /**
+     * Connect to a device, optionally refusing anyone but the expected device ID
+     */
+    createOutgoingChannel(deviceIp, expectedDeviceId) {
+        return this.createChannel(net.createConnection(this.port, deviceIp), true, (peer) => {
+            if (expectedDeviceId && peer.deviceId !== expectedDeviceId) {
+                throw Object.assign(
+                    new Error(`Security warning: ${deviceIp} answered as a different device than expected`),
+                    { code: 'unexpected-device', retryable: false }
+                );
+            }
+            return this.checkPeerKey(peer);
+        });
+    }
+
     /**
      * Handle incoming connection from sender
      */
-    handleIncomingConnection(socket) {
-        let buffer = Buffer.alloc(0);
-        let transferInfo = null;
-        let fileStream = null;
-        let receivedBytes = 0;
-        let headerReceived = false;
-
-        socket.on('data', (chunk) => {
-            buffer = Buffer.concat([buffer, chunk]);
-
-            // First, wait for the header (JSON with file info)
-            if (!headerReceived) {
-                const nullIndex = buffer.indexOf(0);
-                if (nullIndex !== -1) {
-                    const headerStr = buffer.slice(0, nullIndex).toString();
-                    buffer = buffer.slice(nullIndex + 1);
-                    
-                    try {
-                        transferInfo = JSON.parse(headerStr);
-                        headerReceived = true;
-
-                        // Emit transfer request for user approval
-                        this.pendingTransfer = {
-                            socket,
-                            transferInfo,
-                            buffer
-                        };
+    handleIncomingConnection(rawSocket) {
+        const socket = this.createChannel(rawSocket, false);
 
-                        this.emit('transferRequest', {
-                            senderEmail: transferInfo.senderEmail,
-                            fileName: transferInfo.fileName,
-                            fileSize: transferInfo.fileSize,
-                            transferId: transferInfo.transferId
-                        });
+        // The first message says what the connection is for
+        const onFirstMessage = (type, message) => {
+            socket.removeListener('message', onFirstMessage);
 
-                        // Pause socket until user accepts/rejects
-                        socket.pause();
-                    } catch (err) {
-                        console.error('Invalid transfer header:', err);
-                        socket.end();
-                    }
+            let transferInfo;
+            try {
+                if (type === FRAME.PAIR) {
+                    this.handlePairingRequest(socket, message);
+                    return;
+                }
+                if (type === FRAME.CANCEL) {
+                    this.handleCancelNotice(socket, message);
+                    return;
+                }
+                if (type === FRAME.STRIPE) {
+                    this.handleStripe(socket, message);
+                    return;
+                }
+                if (type === FRAME.SYNC_INDEX || type === FRAME.SYNC_FETCH) {
+                    this.answerSyncRequest(socket, type, message);
+                    return;
                 }
+                if (type === FRAME.TEXT) {
+                    this.receiveText(socket, message);
+                    return;
+                }
+                if (type !== FRAME.OFFER) {
+                    throw new Error('Expected a transfer offer');
+                }
+
+                transferInfo = this.parseOffer(message);
+                transferInfo.peer = socket.peer;
+                transferInfo.delta = transferInfo.delta && socket.supports('delta');
+            } catch (err) {
+                console.error('Invalid transfer header:', err);
+                socket.send(FRAME.ERROR, { error: err.message, code: 'protocol' });
+                socket.end();
+                return;
             }
+
+            this.prepareResume(transferInfo)
+                .then(() => this.offerTransfer(socket, transferInfo))
+                .catch((err) => {
+                    console.error('Could not prepare transfer:', err);
+                    socket.destroy();
+                });
+        };
+
+        // Nothing is read until both sides have proven their identity and agreed on a version
+        socket.once('secure', () => {
+            socket.on('message', onFirstMessage);
         });
 
         socket.on('error', (err) => {
             console.error('Socket error:', err);
-            if (fileStream) fileStream.close();
         });
+    }
 
-        socket.on('close', () => {
-            if (fileStream) fileStream.close();
+    /**
+     * Hold an incoming pairing request until the user confirms the safety code
+     */
+    handlePairingRequest(socket, header) {
+        const requestId = crypto.randomUUID();
+        this.pendingPairings.set(requestId, socket);
+        socket.on('close', () => this.pendingPairings.delete(requestId));
+
+        this.emit('pairRequest', {
+            requestId,
+            deviceId: socket.peer.deviceId,
+            fingerprint: socket.peer.fingerprint,
+            safetyCode: socket.peer.safetyCode,
+            firstContact: socket.peer.firstContact,
+            email: String(header.email),
+            deviceName: String(header.deviceName)
         });
     }
 
     /**
-     * Accept pending transfer
+     * A sender gave up on an interrupted transfer while it was disconnected:
+     * drop what was kept for resuming it
      */
-    acceptTransfer(transferId) {
-        if (!this.pendingTransfer) return false;
-
-        const { socket, transferInfo, buffer } = this.pendingTransfer;
-        
-        if (transferInfo.transferId !== transferId) return false;
+    handleCancelNotice(socket, header) {
+        const resumeKey = String(header.resumeKey);
+        const record = /^[0-9a-f]{64}$/.test(resumeKey) ? this.loadResumeRecord(resumeKey) : null;
+        socket.end();
 
-        // Send acceptance response
-        socket.write(JSON.stringify({ accepted: true }) + '\0');
+        // Only the device that started the transfer may cancel it
+        if (!record || record.senderDeviceId !== socket.peer.deviceId) return;
 
-        // Create file write stream
-        const filePath = path.join(this.receivePath, transferInfo.fileName);
-        const fileStream = fs.createWriteStream(filePath);
-        let receivedBytes = 0;
+        removePartialFiles(record.files, record.roots, record.completed);
+        this.resumableSessions.delete(resumeKey);
+        this.deleteResumeRecord(resumeKey);
 
-        this.activeTransfers.set(transferId, {
-            fileStream,
-            filePath,
-            totalSize: transferInfo.fileSize,
-            receivedBytes: 0
+        const cancelled = {
+            transferId: record.transferId,
+            fileName: describeFiles(record.files),
+            direction: 'receive',
+            cancelledBy: 'sender',
+            reason: typeof header.reason === 'string' ? header.reason : null
+        };
+        this.emit('transferCancelled', cancelled);
+        this.emitTransferEnded('cancelled', {
+            ...cancelled,
+            peer: { deviceId: record.senderDeviceId, email: record.senderEmail },
+            files: summarizeFiles(record.files, record.savedPaths),
+            totalSize: record.files.reduce((sum, file) => sum + file.size, 0),
+            bytesTransferred: 0,
+            destination: record.roots ? commonRoot(record.roots) : this.receivePath,
+            startedAt: record.updatedAt
         });
+    }
 
-        // Process any buffered data
-        if (buffer.length > 0) {
-            fileStream.write(buffer);
-            receivedBytes += buffer.length;
-            this.emitProgress(transferId, receivedBytes, transferInfo.fileSize);
-        }
+    /**
+     * Attach an extra connection to the active session whose token it presents.
+     * It carries whole blocks of the session's current file.
+     */
+    handleStripe(socket, message) {
+        const session = Array.from(this.activeTransfers.values())
+            .find(active => active.stripes && active.stripes.token === message.token);
 
-        socket.on('data', (chunk) => {
-            fileStream.write(chunk);
-            receivedBytes += chunk.length;
-            this.emitProgress(transferId, receivedBytes, transferInfo.fileSize);
+        // Only the device that started the transfer may join it
+        if (!session || session.senderDeviceId !== socket.peer.deviceId ||
+            session.stripeChannels.size >= session.stripes.count) {
+            socket.send(FRAME.ERROR, { error: 'Unknown transfer session', code: 'protocol' });
+            socket.end();
+            return;
+        }
 
-            if (receivedBytes >= transferInfo.fileSize) {
-                fileStream.end();
-                this.activeTransfers.delete(transferId);
-                this.emit('transferComplete', {
-                    transferId,
-                    filePath,
-                    fileName: transferInfo.fileName
-                });
-            }
+        const stripe = { socket, block: null };
+        session.stripeChannels.add(socket);
+        socket.on('close', () => session.stripeChannels.delete(socket));
+        socket.on('message', (type, blockInfo) => {
+            if (type === FRAME.BLOCK) this.startStripeBlock(session, stripe, blockInfo);
         });
-
-        socket.on('close', () => {
-            fileStream.end();
-            if (receivedBytes >= transferInfo.fileSize) {
-                this.emit('transferComplete', {
-                    transferId,
-                    filePath,
-                    fileName: transferInfo.fileName
-                });
-            }
+        socket.on('data', (payload, compressed) => {
+            const chunk = this.decodeChunk(session, payload, compressed);
+            if (chunk) this.writeStripeData(session, stripe, chunk);
         });
+        this.updateReceiveFlow(session);
+    }
 
-        // Resume socket
-        socket.resume();
-        this.pendingTransfer = null;
-
-        return true;
+    /**
+     * Answer a folder sync request with a message of the same type, or an ERROR
+     */
+    answerSyncRequest(socket, type, message) {
+        Promise.resolve()
+            .then(() => this.handleSyncRequest(type, message, socket.peer))
+            .then(
+                (reply) => socket.send(type, reply),
+                (err) => socket.send(FRAME.ERROR, { error: err.message, code: err.code || 'sync' })
+            )
+            .finally(() => socket.end());
     }
 
     /**
-     * Reject pending transfer
+     * Take a text snippet and confirm it arrived. Nothing is written to
+     * disk; the textReceived event hands the text to the app.
      */
-    rejectTransfer(transferId) {
-        if (!this.pendingTransfer) return false;
+    receiveText(socket, message) {
+        const text = typeof message.text === 'string' ? message.text : '';
+        if (text.length === 0 || text.length > MAX_TEXT_LENGTH || !isTransferId(message.transferId)) {
+            socket.send(FRAME.ERROR, { error: 'Invalid text snippet', code: 'protocol' });
+            socket.end();
+            return;
+        }
 
-        const { socket, transferInfo } = this.pendingTransfer;
-        
-        if (transferInfo.transferId !== transferId) return false;
+        const snippet = {
+            transferId: message.transferId,
+            direction: 'receive',
+            text,
+            senderEmail: String(message.email),
+            deviceId: socket.peer.deviceId,
+            fingerprint: socket.peer.fingerprint,
+            startedAt: Date.now()
+        };
+        const peer = { deviceId: snippet.deviceId, email: snippet.senderEmail };
 
-        // Send rejection response
-        socket.write(JSON.stringify({ accepted: false }) + '\0');
+        if (!this.acceptText({ deviceId: snippet.deviceId, fingerprint: snippet.fingerprint, email: snippet.senderEmail })) {
+            socket.send(FRAME.ERROR, { error: 'The other device did not take the text', code: 'rejected' });
+            socket.end();
+            this.emitTextEnded(snippet, peer, 'rejected');
+            return;
+        }
+
+        socket.send(FRAME.ACK, {});
         socket.end();
+        this.emit('textReceived', { ...snippet, receivedAt: Date.now() });
+        this.emitTextEnded(snippet, peer, 'completed');
+    }
 
-        this.pendingTransfer = null;
-        return true;
+    /**
+     * Take files uploaded from a browser (see webShare.js) through the same
+     * request, queue and receive steps as files from another device. The
+     * channel stands in for the connection. A browser has no key and cannot
+     * hash what it sends, so the files are only hashed here, for the history.
+     * @param upload.files [{ relativePath, size }]
+     * @param upload.senderName what the visitor calls themselves
+     * @param upload.address the visitor's IP address
+     * @returns the transfer ID
+     */
+    async receiveUpload(channel, upload) {
+        const transferInfo = this.parseOffer({
+            transferId: Date.now().toString(),
+            senderEmail: upload.senderName,
+            files: upload.files.map(file => ({ relativePath: file.relativePath, size: file.size })),
+            resumeKey: crypto.randomBytes(32).toString('hex')
+        }, { unverified: true });
+        transferInfo.peer = channel.peer;
+        transferInfo.browser = { address: upload.address };
+
+        await this.prepareResume(transferInfo);
+        this.offerTransfer(channel, transferInfo);
+        return transferInfo.transferId;
     }
 
     /**
-     * Send a file to a device
+     * Send a one-off request to a device and resolve with its answer.
+     * An ERROR answer rejects with the other side's message and code.
      */
-    sendFile(deviceIp, filePath, senderEmail) {
+    sendRequest(deviceIp, deviceId, type, message) {
         return new Promise((resolve, reject) => {
-            const fileName = path.basename(filePath);
-            const stats = fs.statSync(filePath);
-            const fileSize = stats.size;
-            const transferId = Date.now().toString();
-
-            const socket = net.createConnection(TRANSFER_PORT, deviceIp);
-            let responseReceived = false;
-            let responseBuffer = '';
-
-            socket.on('connect', () => {
-                // Send header with file info
-                const header = JSON.stringify({
-                    transferId,
-                    fileName,
-                    fileSize,
-                    senderEmail
-                });
+            const socket = this.createOutgoingChannel(deviceIp, deviceId);
+            let settled = false;
 
-                socket.write(header + '\0');
-            });
+            const finish = (err, reply) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.destroy();
+                if (err) reject(err); else resolve(reply);
+            };
 
-            socket.on('data', (data) => {
-                if (!responseReceived) {
-                    responseBuffer += data.toString();
-                    const nullIndex = responseBuffer.indexOf('\0');
-                    
-                    if (nullIndex !== -1) {
-                        const responseStr = responseBuffer.slice(0, nullIndex);
-                        try {
-                            const response = JSON.parse(responseStr);
-                            responseReceived = true;
-
-                            if (response.accepted) {
-                                this.emit('transferAccepted', { transferId, fileName });
-                                this.streamFile(socket, filePath, fileSize, transferId);
-                            } else {
-                                this.emit('transferRejected', { transferId, fileName });
-                                socket.end();
-                                resolve({ accepted: false, transferId });
-                            }
-                        } catch (err) {
-                            reject(err);
-                        }
-                    }
-                }
-            });
+            const timer = setTimeout(() => {
+                finish(new Error('The other device did not answer'));
+            }, REQUEST_TIMEOUT);
 
-            socket.on('error', (err) => {
-                reject(err);
+            socket.on('secure', () => {
+                const feature = REQUEST_FEATURES[type];
+                if (!socket.supports(feature.capability)) {
+                    finish(Object.assign(new Error(`The other device does not support ${feature.name}`), {
+                        code: `${feature.capability}-unavailable`
+                    }));
+                    return;
+                }
+                socket.send(type, message);
             });
 
-            socket.on('close', () => {
-                if (responseReceived) {
-                    resolve({ accepted: true, transferId });
+            socket.on('message', (replyType, reply) => {
+                if (replyType === FRAME.ERROR) {
+                    finish(Object.assign(new Error(String(reply.error)), { code: reply.code }));
+                } else {
+                    finish(null, reply);
                 }
             });
+
+            socket.on('error', (err) => finish(err));
+            socket.on('close', () => finish(new Error('The other device closed the connection without answering')));
         });
     }
 
     /**
-     * Stream file contents to socket
+     * Answer a pending pairing request
      */
-    streamFile(socket, filePath, totalSize, transferId) {
-        const fileStream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
-        let sentBytes = 0;
+    respondToPairing(requestId, paired) {
+        const socket = this.pendingPairings.get(requestId);
+        if (!socket) return false;
 
-        fileStream.on('data', (chunk) => {
-            socket.write(chunk);
-            sentBytes += chunk.length;
-            this.emitProgress(transferId, sentBytes, totalSize, 'sending');
-        });
+        this.pendingPairings.delete(requestId);
+        socket.send(FRAME.PAIR_RESPONSE, { paired: Boolean(paired) });
+        socket.end();
+        return true;
+    }
 
-        fileStream.on('end', () => {
-            this.emit('sendComplete', { transferId, filePath });
-            socket.end();
-        });
+    /**
+     * Ask another device to pair with this one. Resolves once the other
+     * user has confirmed or declined; both screens show the safety code
+     * (see the peerVerified event) in the meantime.
+     */
+    requestPairing(deviceIp, deviceId, { email, deviceName }) {
+        return new Promise((resolve, reject) => {
+            const socket = this.createOutgoingChannel(deviceIp, deviceId);
+            let settled = false;
 
-        fileStream.on('error', (err) => {
-            console.error('File read error:', err);
-            socket.end();
+            const finish = (err, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.destroy();
+                if (err) reject(err); else resolve(result);
+            };
+
+            const timer = setTimeout(() => {
+                finish(new Error('The other device did not respond to the pairing request'));
+            }, PAIRING_TIMEOUT);
+
+            socket.on('secure', (peer) => {
+                this.emit('peerVerified', { pairing: true, ...peer });
+                socket.send(FRAME.PAIR, { email, deviceName });
+            });
+
+            socket.on('message', (type, message) => {
+                if (type === FRAME.PAIR_RESPONSE) {
+                    finish(null, { paired: Boolean(message.paired), peer: socket.peer });
+                } else if (type === FRAME.ERROR) {
+                    finish(new Error(String(message.error)));
+                }
+            });
+
+            socket.on('error', (err) => finish(err));
+            socket.on('close', () => finish(new Error('Pairing was cancelled')));
         });
     }
 
     /**
-     * Emit progress event
+     * Hold an incoming session until it is accepted or rejected
      */
-    emitProgress(transferId, bytes, total, type = 'receiving') {
-        const progress = Math.round((bytes / total) * 100);
-        this.emit('transferProgress', {
-            transferId,
-            bytes,
-            total,
-            progress,
-            type
+    offerTransfer(socket, transferInfo) {
+        if (socket.destroyed) return;
+
+        // IDs come from the senders, so two of them may pick the same one
+        let transferId = transferInfo.transferId;
+        for (let n = 1; this.pendingTransfers.has(transferId) || this.activeTransfers.has(transferId); n++) {
+            const suffix = `-${n}`;
+            transferId = transferInfo.transferId.slice(0, MAX_TRANSFER_ID_LENGTH - suffix.length) + suffix;
+        }
+        transferInfo.transferId = transferId;
+
+        const resumedBytes = transferInfo.offsets.reduce((sum, offset) => sum + offset, 0);
+
+        const request = {
+            senderEmail: transferInfo.senderEmail,
+            fileName: describeFiles(transferInfo.files),
+            fileSize: transferInfo.totalSize,
+            fileCount: transferInfo.files.length,
+            files: transferInfo.files.map(file => ({ relativePath: file.relativePath, size: file.size })),
+            destination: commonRoot(transferInfo.roots),
+            conflicts: transferInfo.conflicts.map(index => transferInfo.files[index].relativePath),
+            resumedBytes,
+            sync: transferInfo.sync,
+            browser: transferInfo.browser || null,
+            transferId: transferInfo.transferId,
+            deviceId: transferInfo.peer.deviceId,
+            fingerprint: transferInfo.peer.fingerprint,
+            safetyCode: transferInfo.peer.safetyCode,
+            firstContact: transferInfo.peer.firstContact,
+            receivedAt: Date.now()
+        };
+
+        this.pendingTransfers.set(transferId, {
+            socket,
+            transferInfo,
+            request,
+            state: 'pending',
+            options: null
+        });
+
+        socket.on('message', (type, message) => this.onSenderMessage(transferId, type, message));
+
+        // A sender that gives up while waiting leaves the queue
+        socket.on('close', () => {
+            const pending = this.pendingTransfers.get(transferId);
+            if (pending) {
+                this.pendingTransfers.delete(transferId);
+                this.emit('transferWithdrawn', { transferId });
+                this.emitRequestEnded(pending, 'cancelled', { cancelledBy: 'sender', reason: null });
+                this.emit('queueChanged');
+            }
         });
+        this.emit('queueChanged');
+
+        // A sender reconnecting to a session we already accepted continues without a new prompt
+        if (resumedBytes > 0 && this.resumableSessions.has(transferInfo.resumeKey)) {
+            this.emit('transferResumed', request);
+            this.acceptTransfer(transferInfo.transferId);
+            return;
+        }
+
+        // Emit transfer request for user approval
+        this.emit('transferRequest', request);
     }
 
     /**
-     * Cancel active transfer
+     * Parse and validate a session offer.
+     * Every manifest entry must resolve to a path inside the receive folder.
+     * Only uploads from a browser (options.unverified) may leave out the hashes.
      */
-    cancelTransfer(transferId) {
-        const transfer = this.activeTransfers.get(transferId);
-        if (transfer) {
-            transfer.fileStream.close();
-            // Delete partial file
-            try {
-                fs.unlinkSync(transfer.filePath);
-            } catch (err) {
-                // Ignore if file doesn't exist
+    parseOffer(transferInfo, options = {}) {
+        if (!Array.isArray(transferInfo.files) || transferInfo.files.length === 0) {
+            throw new Error('Transfer header has no files');
+        }
+
+        const root = path.resolve(this.receivePath);
+        const seen = new Set();
+        let totalSize = 0;
+
+        for (const file of transferInfo.files) {
+            if (typeof file.relativePath !== 'string' || !Number.isSafeInteger(file.size) || file.size < 0) {
+                throw new Error('Invalid manifest entry');
+            }
+
+            file.relativePath = sanitizeRelativePath(file.relativePath);
+            // Windows file names are case-insensitive
+            const key = file.relativePath.toLowerCase();
+            if (seen.has(key)) {
+                throw new Error('Duplicate file name in manifest: ' + file.relativePath);
+            }
+            seen.add(key);
+
+            const blockCount = Math.ceil(file.size / HASH_BLOCK_SIZE);
+            if (options.unverified) {
+                file.sha256 = null;
+                file.blockHashes = null;
+            } else if (!isSha256(file.sha256) || !Array.isArray(file.blockHashes) ||
+                file.blockHashes.length !== blockCount || !file.blockHashes.every(isSha256)) {
+                throw new Error('Missing or invalid hashes for ' + file.relativePath);
+            }
+
+            const target = path.resolve(root, file.relativePath);
+            if (!target.startsWith(root + path.sep)) {
+                throw new Error('Manifest entry escapes receive folder: ' + file.relativePath);
+            }
+
+            totalSize += file.size;
+        }
+
+        if (!isSha256(transferInfo.resumeKey)) {
+            throw new Error('Invalid resume key');
+        }
+        if (!isTransferId(transferInfo.transferId)) {
+            throw new Error('Invalid transfer ID');
+        }
+        transferInfo.streams = Number.isInteger(transferInfo.streams) ? transferInfo.streams : 1;
+        transferInfo.compression = Array.isArray(transferInfo.compression) ? transferInfo.compression : [];
+        transferInfo.delta = transferInfo.delta === true;
+        transferInfo.sync = typeof transferInfo.sync === 'string' ? transferInfo.sync : null;
+
+        transferInfo.totalSize = totalSize;
+        return transferInfo;
+    }
+
+    /**
+     * Work out how many bytes of each file are already on disk from an
+     * earlier, interrupted attempt of the same session. Partial data is
+     * only trusted up to the last block that matches the sender's hashes.
+     */
+    async prepareResume(transferInfo) {
+        const { files } = transferInfo;
+        const sender = { email: transferInfo.senderEmail, deviceId: transferInfo.peer.deviceId, sync: transferInfo.sync };
+        transferInfo.offsets = files.map(() => 0);
+        transferInfo.resumeHashers = new Map();
+        transferInfo.roots = files.map(file => this.resolveDestination(file, sender));
+        transferInfo.completed = [];
+        transferInfo.savedPaths = files.map(() => null);
+
+        const record = this.loadResumeRecord(transferInfo.resumeKey);
+        if (record && record.senderEmail === transferInfo.senderEmail &&
+            record.senderDeviceId === transferInfo.peer.deviceId) {
+            await this.loadPartialData(transferInfo, record);
+        }
+
+        // Files that would land on something already there
+        transferInfo.conflicts = files
+            .map((file, index) => index)
+            .filter(index => !transferInfo.completed.includes(index) &&
+                fs.existsSync(getTargetPath(transferInfo.roots[index], files[index])));
+
+        transferInfo.signatures = transferInfo.delta ? await this.hashOlderCopies(transferInfo) : {};
+    }
+
+    /**
+     * Block hashes of the older copies already where files are going, by file index.
+     * The sender leaves out every block that matches, and this side copies
+     * those blocks from the older copy instead.
+     */
+    async hashOlderCopies(transferInfo) {
+        const signatures = {};
+        for (const index of transferInfo.conflicts) {
+            const file = transferInfo.files[index];
+            const target = getTargetPath(transferInfo.roots[index], file);
+            try {
+                if (file.size === 0 || !fs.statSync(target).isFile()) continue;
+                signatures[index] = (await hashFile(target)).blockHashes;
+            } catch (err) {
+                // Unreadable: the file is simply sent in full
+            }
+        }
+        return signatures;
+    }
+
+    /**
+     * Pick up an earlier attempt: where it was writing, which files are done
+     * and how much of the others can be trusted
+     */
+    async loadPartialData(transferInfo, record) {
+        const { files } = transferInfo;
+
+        // Keep writing where the first attempt started, even if the rules changed since
+        if (Array.isArray(record.roots) && record.roots.length === files.length) {
+            transferInfo.roots = record.roots;
+        }
+        if (Array.isArray(record.savedPaths) && record.savedPaths.length === files.length) {
+            transferInfo.savedPaths = record.savedPaths;
+        }
+        transferInfo.collision = record.collision;
+
+        for (const [index, file] of files.entries()) {
+            if (record.completed.includes(index) && transferInfo.savedPaths[index]) {
+                transferInfo.offsets[index] = file.size;
+                transferInfo.completed.push(index);
+                continue;
+            }
+
+            const partPath = getTargetPath(transferInfo.roots[index], file) + PART_EXTENSION;
+            if (file.size === 0 || !fs.existsSync(partPath)) continue;
+
+            const { offset, hasher } = await this.verifyPartialFile(partPath, file);
+            transferInfo.offsets[index] = offset;
+            if (offset > 0) {
+                transferInfo.resumeHashers.set(index, hasher);
+            }
+        }
+    }
+
+    /**
+     * Hash the verified prefix of a partial file, block by block
+     */
+    async verifyPartialFile(partPath, file) {
+        const hasher = new BlockHasher();
+        const block = Buffer.alloc(HASH_BLOCK_SIZE);
+        const handle = await fs.promises.open(partPath, 'r');
+        let offset = 0;
+
+        try {
+            for (let blockIndex = 0; offset < file.size; blockIndex++) {
+                const length = Math.min(HASH_BLOCK_SIZE, file.size - offset);
+                const { bytesRead } = await handle.read(block, 0, length, offset);
+                // An incomplete trailing block is simply sent again
+                if (bytesRead < length) break;
+
+                const data = block.subarray(0, length);
+                const blockHash = crypto.createHash('sha256').update(data).digest('hex');
+                if (blockHash !== file.blockHashes[blockIndex]) break;
+
+                hasher.fileHash.update(data);
+                hasher.blockCount++;
+                offset += length;
+            }
+        } finally {
+            await handle.close();
+        }
+
+        return { offset, hasher };
+    }
+
+    /**
+     * Resume records live in a hidden folder inside the receive path
+     */
+    getResumeRecordPath(resumeKey) {
+        return path.join(this.receivePath, RESUME_DIR, resumeKey + '.json');
+    }
+
+    loadResumeRecord(resumeKey) {
+        try {
+            return JSON.parse(fs.readFileSync(this.getResumeRecordPath(resumeKey), 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    saveResumeRecord(session) {
+        const recordPath = this.getResumeRecordPath(session.resumeKey);
+        fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+        fs.writeFileSync(recordPath, JSON.stringify({
+            resumeKey: session.resumeKey,
+            transferId: session.transferId,
+            senderEmail: session.senderEmail,
+            senderDeviceId: session.senderDeviceId,
+            files: session.files.map(file => ({ relativePath: file.relativePath, size: file.size })),
+            roots: session.roots,
+            savedPaths: session.savedPaths,
+            collision: session.collision,
+            completed: session.completed,
+            updatedAt: Date.now()
+        }));
+    }
+
+    deleteResumeRecord(resumeKey) {
+        const recordPath = this.getResumeRecordPath(resumeKey);
+        try {
+            fs.unlinkSync(recordPath);
+            // Remove the folder again once nothing is left to resume
+            fs.rmdirSync(path.dirname(recordPath));
+        } catch (err) {
+            // Ignore if record doesn't exist or other sessions are still pending
+        }
+    }
+
+    /**
+     * Drop resume records (and their partial files) nobody came back for
+     */
+    cleanupResumeRecords() {
+        const resumeDir = path.join(this.receivePath, RESUME_DIR);
+        let entries = [];
+        try {
+            entries = fs.readdirSync(resumeDir);
+        } catch (err) {
+            return;
+        }
+
+        for (const entry of entries) {
+            const record = this.loadResumeRecord(path.basename(entry, '.json'));
+            if (record && Date.now() - record.updatedAt < RESUME_MAX_AGE) continue;
+
+            if (record) {
+                const roots = record.roots || record.files.map(() => this.receivePath);
+                removePartialFiles(record.files, roots, record.completed);
+            }
+            try {
+                fs.unlinkSync(path.join(resumeDir, entry));
+            } catch (err) {
+                // Ignore if record doesn't exist
+            }
+        }
+    }
+
+    /**
+     * Accept pending transfer
+     * @param options.collision 'rename' (keep both as "name (1).ext") or 'overwrite'
+     */
+    acceptTransfer(transferId, options = {}) {
+        const pending = this.pendingTransfers.get(transferId);
+        if (!pending || pending.state !== 'pending') return false;
+
+        pending.options = options;
+
+        // Wait for a free slot; the sender is told it is queued
+        if (this.activeTransfers.size >= this.maxActiveReceives) {
+            pending.state = 'queued';
+            pending.socket.send(FRAME.QUEUED, {});
+            this.emit('transferQueued', { transferId, position: this.getQueuedTransfers().length });
+            this.emit('queueChanged');
+            return true;
+        }
+
+        this.startSession(pending);
+        return true;
+    }
+
+    /**
+     * Requests accepted while every slot was busy, oldest first
+     */
+    getQueuedTransfers() {
+        return Array.from(this.pendingTransfers.values()).filter(pending => pending.state === 'queued');
+    }
+
+    /**
+     * Start queued sessions while there are free slots
+     */
+    startQueuedTransfers() {
+        for (const pending of this.getQueuedTransfers()) {
+            if (this.activeTransfers.size >= this.maxActiveReceives) return;
+            this.startSession(pending);
+        }
+    }
+
+    /**
+     * Everything waiting or in progress on the receiving side
+     */
+    getInboundQueue() {
+        const waiting = Array.from(this.pendingTransfers.values()).map(pending => ({
+            ...pending.request,
+            state: pending.state
+        }));
+        const receiving = Array.from(this.activeTransfers.values()).map(session => ({
+            ...session.request,
+            state: 'receiving',
+            receivedBytes: session.receivedBytes,
+            pausedBy: session.pausedBy.slice()
+        }));
+        return receiving.concat(waiting);
+    }
+
+    /**
+     * Tell the sender to go ahead and start writing the session to disk
+     */
+    startSession(pending) {
+        const { socket, transferInfo, request, options } = pending;
+        const { transferId, offsets } = transferInfo;
+
+        this.pendingTransfers.delete(transferId);
+
+        // Large files may come over extra connections that present this token
+        const stripes = transferInfo.streams > 1 && socket.supports('stripes')
+            ? { token: crypto.randomBytes(16).toString('hex'), count: Math.min(transferInfo.streams, MAX_STRIPES) }
+            : null;
+
+        const algorithm = socket.supports('compression') ? compression.chooseAlgorithm(transferInfo.compression) : null;
+
+        // Send acceptance response with the offsets we already have
+        socket.send(FRAME.ACCEPT, { offsets, stripes, compression: algorithm, signatures: transferInfo.signatures });
+
+        const session = {
+            transferId,
+            resumeKey: transferInfo.resumeKey,
+            senderEmail: transferInfo.senderEmail,
+            senderDeviceId: transferInfo.peer.deviceId,
+            sync: transferInfo.sync,
+            request,
+            socket,
+            files: transferInfo.files,
+            roots: transferInfo.roots,
+            collision: options.collision || transferInfo.collision || 'rename',
+            offsets,
+            completed: transferInfo.completed,
+            savedPaths: transferInfo.savedPaths,
+            totalSize: transferInfo.totalSize,
+            fileIndex: 0,
+            fileBytes: 0,
+            receivedBytes: offsets.reduce((sum, offset) => sum + offset, 0),
+            fileStream: null,
+            filePath: null,
+            hasher: null,
+            stripes,
+            stripeChannels: new Set(),
+            compression: algorithm,
+            originalBytes: 0, // file data received in this session, before and after compression
+            transferredBytes: 0,
+            striped: null, // { fd, firstBlock, received, remaining, writes } while receiving a striped file
+            waitingForDisk: false,
+            signatures: transferInfo.signatures,
+            reusable: new Set(), // blocks of the current file to copy from its older copy
+            copying: false, // a block is being copied; data from the sender waits in heldData
+            heldData: [],
+            reusedBytes: 0,
+            resumeHashers: transferInfo.resumeHashers,
+            hashes: [],
+            pendingFiles: 0,
+            pausedBy: [],
+            startedAt: Date.now(),
+            complete: false
+        };
+
+        this.activeTransfers.set(transferId, session);
+        this.resumableSessions.add(session.resumeKey);
+        this.saveResumeRecord(session);
+        this.openNextFile(session);
+
+        socket.on('data', (payload, compressed) => {
+            const chunk = this.decodeChunk(session, payload, compressed);
+            if (chunk) this.writeSessionData(session, chunk);
+        });
+
+        socket.on('close', () => {
+            if (session.complete || session.failed || session.cancelled) return;
+
+            // Keep the partial data so the sender can pick up where it left off
+            if (session.fileStream) session.fileStream.end();
+            if (session.striped) closeStripedFile(session.striped);
+            session.stripeChannels.forEach(channel => channel.end());
+            if (this.activeTransfers.delete(transferId)) {
+                this.emit('transferInterrupted', {
+                    transferId,
+                    receivedBytes: session.receivedBytes,
+                    totalSize: session.totalSize
+                });
+                this.sessionEnded();
+            }
+        });
+
+        // Resume socket
+        socket.resume();
+        this.emit('queueChanged');
+    }
+
+    /**
+     * A receive slot was freed: let the next queued session in
+     */
+    sessionEnded() {
+        this.startQueuedTransfers();
+        this.emit('queueChanged');
+    }
+
+    /**
+     * Open the write stream for the next file in a session.
+     * Empty files are created straight away; files already received
+     * in an earlier attempt are skipped.
+     */
+    openNextFile(session) {
+        while (session.fileIndex < session.files.length && !session.failed) {
+            const file = session.files[session.fileIndex];
+            const filePath = getTargetPath(session.roots[session.fileIndex], file);
+            const offset = session.offsets[session.fileIndex];
+
+            session.filePath = filePath;
+            session.fileBytes = offset;
+
+            if (session.completed.includes(session.fileIndex)) {
+                session.hashes.push({ fileName: file.relativePath, sha256: file.sha256 });
+                session.fileIndex++;
+                continue;
+            }
+
+            session.hasher = session.resumeHashers.get(session.fileIndex) || new BlockHasher();
+            const partPath = filePath + PART_EXTENSION;
+
+            try {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+                if (file.size === 0) {
+                    fs.writeFileSync(partPath, Buffer.alloc(0));
+                } else if (offset < file.size) {
+                    if (offset > 0) {
+                        // Drop anything past the verified offset before appending
+                        fs.truncateSync(partPath, offset);
+                    }
+                    session.reusable = findReusableBlocks(file, session.signatures[session.fileIndex]);
+                    if (isStriped(session.stripes, file, offset, session.reusable)) {
+                        // Blocks arrive over the stripes in any order and are written in place
+                        const firstBlock = Math.floor(offset / HASH_BLOCK_SIZE);
+                        session.striped = {
+                            fd: fs.openSync(partPath, offset > 0 ? 'r+' : 'w'),
+                            firstBlock,
+                            received: new Set(),
+                            remaining: Math.ceil(file.size / HASH_BLOCK_SIZE) - firstBlock,
+                            writes: 0
+                        };
+                        return;
+                    }
+                    session.fileStream = fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+                    session.fileStream.on('error', (err) => {
+                        this.failSession(session, 'write-error', `Could not write "${file.relativePath}": ${err.message}`);
+                    });
+                    this.reuseNextBlock(session);
+                    return;
+                }
+            } catch (err) {
+                this.failSession(session, 'write-error', `Could not write "${file.relativePath}": ${err.message}`);
+                return;
+            }
+
+            // Nothing (left) to receive for this file
+            this.finishFile(session);
+        }
+
+        this.maybeCompleteSession(session);
+    }
+
+    /**
+     * Undo the transfer's compression on a chunk of file data, if it was compressed.
+     * Returns null (and fails the session) if the chunk cannot be decoded.
+     */
+    decodeChunk(session, payload, compressed) {
+        if (session.failed || session.cancelled || session.complete) return null;
+
+        let chunk = payload;
+        if (compressed) {
+            try {
+                if (!session.compression) throw new Error('compression was not agreed');
+                chunk = compression.decompressChunk(session.compression, payload);
+            } catch (err) {
+                this.failSession(session, 'protocol', `Could not decompress data from the sender: ${err.message}`);
+                return null;
+            }
+        }
+
+        session.transferredBytes += payload.length;
+        session.originalBytes += chunk.length;
+        return chunk;
+    }
+
+    /**
+     * Split incoming bytes across the files of a session,
+     * checking every block against the sender's hashes
+     */
+    writeSessionData(session, chunk) {
+        if (session.cancelled) return;
+        let offset = 0;
+
+        while (offset < chunk.length && session.fileStream) {
+            // The data belongs after the block being copied
+            if (session.copying) {
+                session.heldData.push(chunk.subarray(offset));
+                return;
+            }
+
+            // Stop at every block boundary of a file patched from an older copy,
+            // as the next block may be one to copy
+            const file = session.files[session.fileIndex];
+            const end = session.reusable.size > 0
+                ? Math.min(file.size, (Math.floor(session.fileBytes / HASH_BLOCK_SIZE) + 1) * HASH_BLOCK_SIZE)
+                : file.size;
+            const slice = chunk.subarray(offset, offset + (end - session.fileBytes));
+            if (!this.appendFileData(session, slice)) return;
+            offset += slice.length;
+        }
+
+        if (offset < chunk.length && !session.failed && !session.complete) {
+            this.failSession(session, 'protocol', 'Sender sent more data than announced');
+            return;
+        }
+
+        // Let the disk catch up before reading more
+        if (session.fileStream && session.fileStream.writableNeedDrain && !session.waitingForDisk) {
+            session.waitingForDisk = true;
+            session.fileStream.once('drain', () => {
+                session.waitingForDisk = false;
+                this.updateReceiveFlow(session);
+            });
+            this.updateReceiveFlow(session);
+        }
+    }
+
+    /**
+     * Verify and write the next bytes of the current file, moving on to the
+     * next file once it is complete. Returns false if the session failed.
+     */
+    appendFileData(session, slice) {
+        const file = session.files[session.fileIndex];
+        const { hasher } = session;
+
+        hasher.update(slice);
+        if (session.fileBytes + slice.length === file.size) {
+            session.fileDigest = hasher.digest();
+        }
+
+        // Every block finished by this slice must match before it is written
+        const blockHashes = hasher.takeBlockHashes();
+        const firstBlock = hasher.blockCount - blockHashes.length;
+        const badBlock = file.blockHashes
+            ? blockHashes.findIndex((hash, i) => hash !== file.blockHashes[firstBlock + i])
+            : -1;
+        if (badBlock !== -1) {
+            this.failSession(session, 'corrupted', `Block ${firstBlock + badBlock} of "${file.relativePath}" does not match the sender's hash`);
+            return false;
+        }
+
+        session.fileStream.write(slice);
+        session.fileBytes += slice.length;
+        session.receivedBytes += slice.length;
+
+        this.emitProgress(session.transferId, session.receivedBytes, session.totalSize, 'receiving', {
+            fileIndex: session.fileIndex,
+            fileCount: session.files.length,
+            fileName: file.relativePath,
+            fileBytes: session.fileBytes,
+            fileTotal: file.size,
+            transferredBytes: session.transferredBytes,
+            sync: session.sync
+        });
+
+        if (session.fileBytes >= file.size) {
+            this.finishFile(session);
+            this.openNextFile(session);
+        } else {
+            this.reuseNextBlock(session);
+        }
+        return !session.failed;
+    }
+
+    /**
+     * If the older copy of the current file already has its next block, copy
+     * that block from there; the sender leaves it out. Data from the sender
+     * is held back meanwhile and written after it.
+     */
+    reuseNextBlock(session) {
+        const block = session.fileBytes / HASH_BLOCK_SIZE;
+        if (!session.fileStream || !session.reusable.has(block)) return;
+
+        const file = session.files[session.fileIndex];
+        const length = Math.min(HASH_BLOCK_SIZE, file.size - session.fileBytes);
+        session.copying = true;
+        this.updateReceiveFlow(session);
+
+        const copy = () => readBlock(session.filePath, session.fileBytes, length).then((data) => {
+            if (session.failed || session.cancelled || this.activeTransfers.get(session.transferId) !== session) return;
+
+            if (crypto.createHash('sha256').update(data).digest('hex') !== file.blockHashes[block]) {
+                this.failSession(session, 'write-error', `"${file.relativePath}" changed on this device during the transfer`);
+                return;
+            }
+
+            session.copying = false;
+            session.reusedBytes += length;
+            if (!this.appendFileData(session, data) || session.copying) return;
+
+            // Held data goes first; resuming the connection delivers more right away
+            session.heldData.splice(0).forEach(chunk => this.writeSessionData(session, chunk));
+            this.updateReceiveFlow(session);
+        }, (err) => {
+            this.failSession(session, 'write-error', `Could not read the older copy of "${file.relativePath}": ${err.message}`);
+        });
+
+        // Copying never outruns the disk either
+        if (session.fileStream.writableNeedDrain) {
+            session.fileStream.once('drain', copy);
+        } else {
+            copy();
+        }
+    }
+
+    /**
+     * The sender announced the block that follows on a stripe
+     */
+    startStripeBlock(session, stripe, { fileIndex, block }) {
+        if (session.failed || session.cancelled || session.complete) return;
+
+        const { striped } = session;
+        const file = session.files[session.fileIndex];
+        if (!striped || stripe.block || fileIndex !== session.fileIndex || !Number.isInteger(block) ||
+            block < striped.firstBlock || block * HASH_BLOCK_SIZE >= file.size || striped.received.has(block)) {
+            this.failSession(session, 'protocol', 'Sender sent an unexpected block');
+            return;
+        }
+
+        striped.received.add(block);
+        const position = block * HASH_BLOCK_SIZE;
+        stripe.block = {
+            index: block,
+            position,
+            length: Math.min(HASH_BLOCK_SIZE, file.size - position),
+            chunks: [],
+            bytes: 0
+        };
+    }
+
+    /**
+     * Collect a block arriving on a stripe, then verify it and write it in place.
+     * The sender waits for the ACK before it sends that stripe another block.
+     */
+    writeStripeData(session, stripe, chunk) {
+        if (session.failed || session.cancelled || session.complete) return;
+
+        const { block } = stripe;
+        const { striped } = session;
+        if (!block || block.bytes + chunk.length > block.length) {
+            this.failSession(session, 'protocol', 'Sender sent more data than announced');
+            return;
+        }
+
+        const fileIndex = session.fileIndex;
+        const file = session.files[fileIndex];
+        block.chunks.push(chunk);
+        block.bytes += chunk.length;
+        session.fileBytes += chunk.length;
+        session.receivedBytes += chunk.length;
+
+        this.emitProgress(session.transferId, session.receivedBytes, session.totalSize, 'receiving', {
+            fileIndex,
+            fileCount: session.files.length,
+            fileName: file.relativePath,
+            fileBytes: session.fileBytes,
+            fileTotal: file.size,
+            transferredBytes: session.transferredBytes,
+            sync: session.sync
+        });
+
+        if (block.bytes < block.length) return;
+        stripe.block = null;
+
+        const data = Buffer.concat(block.chunks);
+        const blockHash = crypto.createHash('sha256').update(data).digest('hex');
+        if (blockHash !== file.blockHashes[block.index]) {
+            this.failSession(session, 'corrupted', `Block ${block.index} of "${file.relativePath}" does not match the sender's hash`);
+            return;
+        }
+
+        striped.writes++;
+        fs.write(striped.fd, data, 0, data.length, block.position, (err) => {
+            striped.writes--;
+            if (striped.onIdle && striped.writes === 0) striped.onIdle();
+            if (session.failed || session.cancelled || this.activeTransfers.get(session.transferId) !== session) return;
+
+            if (err) {
+                this.failSession(session, 'write-error', `Could not write "${file.relativePath}": ${err.message}`);
+                return;
+            }
+
+            // Move on before confirming, so the sender's next data finds the next file open
+            striped.remaining--;
+            if (striped.remaining === 0) {
+                this.finishFile(session);
+                this.openNextFile(session);
+            }
+            stripe.socket.send(FRAME.ACK, { fileIndex, block: block.index });
+        });
+    }
+
+    /**
+     * Read from the sender only while this side has not paused the session
+     * and the disk keeps up with what already arrived
+     */
+    updateReceiveFlow(session) {
+        for (const socket of [session.socket, ...session.stripeChannels]) {
+            // Resuming delivers held data right away, which may hold the session again
+            if (session.pausedBy.includes('receiver') || session.waitingForDisk || session.copying) {
+                socket.pause();
+            } else {
+                socket.resume();
+            }
+        }
+    }
+
+    /**
+     * Verify a fully written file, move it into place and advance to the next one
+     */
+    finishFile(session) {
+        const fileIndex = session.fileIndex;
+        const file = session.files[fileIndex];
+        const filePath = session.filePath;
+        const { fileStream, striped } = session;
+        // Every block of a striped file already matched the sender's hashes
+        const actualHash = striped ? file.sha256 : session.fileDigest || session.hasher.digest();
+
+        session.fileStream = null;
+        session.striped = null;
+        session.hasher = null;
+        session.fileDigest = null;
+
+        if (file.sha256 && actualHash !== file.sha256) {
+            if (fileStream) fileStream.destroy();
+            this.failSession(session, 'corrupted', `SHA-256 of "${file.relativePath}" does not match the sender's hash`);
+            return;
+        }
+        // Uploads from a browser come without hashes; the history gets this one
+        file.sha256 = actualHash;
+
+        session.fileIndex++;
+
+        // Only a complete, verified file is moved to its final name
+        const finalize = () => {
+            if (session.failed || session.cancelled) return;
+
+            let savedPath = filePath;
+            try {
+                if (session.collision !== 'overwrite') {
+                    savedPath = findAvailablePath(filePath);
+                }
+                fs.renameSync(filePath + PART_EXTENSION, savedPath);
+            } catch (err) {
+                this.failSession(session, 'write-error', `Could not save "${file.relativePath}": ${err.message}`);
+                return;
+            }
+
+            session.completed.push(fileIndex);
+            session.savedPaths[fileIndex] = savedPath;
+            session.hashes.push({ fileName: file.relativePath, sha256: actualHash });
+            this.saveResumeRecord(session);
+
+            this.emit('fileComplete', {
+                transferId: session.transferId,
+                fileIndex,
+                fileCount: session.files.length,
+                fileName: file.relativePath,
+                filePath: savedPath,
+                sha256: actualHash
+            });
+
+            session.pendingFiles--;
+            this.maybeCompleteSession(session);
+        };
+
+        session.pendingFiles++;
+        if (fileStream) {
+            fileStream.end(finalize);
+        } else if (striped) {
+            closeStripedFile(striped, () => finalize());
+        } else {
+            finalize();
+        }
+    }
+
+    /**
+     * Abort a session that cannot complete: tell the sender why,
+     * remove the partial data and report the failure
+     */
+    failSession(session, code, message) {
+        if (session.failed || session.complete || session.cancelled) return;
+        session.failed = true;
+        session.stripeChannels.forEach(channel => channel.send(FRAME.ERROR, { error: message, code }));
+
+        // Partial data that failed verification must not be resumed
+        this.discardSession(session);
+
+        session.socket.send(FRAME.ERROR, { error: message, code });
+        session.socket.end();
+        this.sessionEnded();
+
+        const file = session.files[Math.min(session.fileIndex, session.files.length - 1)];
+        this.emit(code === 'corrupted' ? 'transferCorrupted' : 'transferFailed', {
+            transferId: session.transferId,
+            fileName: file.relativePath,
+            error: message
+        });
+        this.emitSessionEnded(session, code === 'corrupted' ? 'corrupted' : 'failed', { error: message });
+    }
+
+    /**
+     * Stop writing a session and forget it, removing its partial files
+     */
+    discardSession(session) {
+        if (session.fileStream) {
+            session.fileStream.destroy();
+            session.fileStream = null;
+        }
+        if (session.striped) {
+            closeStripedFile(session.striped);
+            session.striped = null;
+        }
+        session.stripeChannels.forEach(channel => channel.end());
+        removePartialFiles(session.files, session.roots, session.completed);
+
+        this.activeTransfers.delete(session.transferId);
+        this.resumableSessions.delete(session.resumeKey);
+        this.deleteResumeRecord(session.resumeKey);
+    }
+
+    /**
+     * Abort a session in progress because either side cancelled it.
+     * Files already completed are kept; the sender is told if we cancelled.
+     */
+    cancelSession(session, cancelledBy, reason) {
+        if (session.failed || session.complete || session.cancelled) return;
+        session.cancelled = true;
+
+        this.discardSession(session);
+
+        if (cancelledBy === 'receiver') {
+            session.socket.send(FRAME.CANCEL, { reason });
+        }
+        session.socket.end();
+        this.sessionEnded();
+
+        this.emit('transferCancelled', {
+            transferId: session.transferId,
+            fileName: describeFiles(session.files),
+            direction: 'receive',
+            cancelledBy,
+            reason
+        });
+        this.emitSessionEnded(session, 'cancelled', { cancelledBy, reason });
+    }
+
+    /**
+     * Message from the sender of a pending or active session
+     */
+    onSenderMessage(transferId, type, message) {
+        if (type === FRAME.CANCEL) {
+            this.onSenderCancel(transferId, typeof message.reason === 'string' ? message.reason : null);
+            return;
+        }
+
+        const session = this.activeTransfers.get(transferId);
+        if (!session || (type !== FRAME.PAUSE && type !== FRAME.RESUME)) return;
+
+        if (setPausedBy(session, 'sender', type === FRAME.PAUSE)) {
+            this.emitPauseChanged(session, 'receive', 'sender');
+            this.emit('queueChanged');
+        }
+    }
+
+    /**
+     * The sender cancelled: withdraw the request or abort the session
+     */
+    onSenderCancel(transferId, reason) {
+        const session = this.activeTransfers.get(transferId);
+        if (session) {
+            this.cancelSession(session, 'sender', reason);
+            return;
+        }
+
+        const pending = this.pendingTransfers.get(transferId);
+        if (!pending) return;
+
+        this.pendingTransfers.delete(transferId);
+        pending.socket.end();
+        this.emit('transferCancelled', {
+            transferId,
+            fileName: pending.request.fileName,
+            direction: 'receive',
+            cancelledBy: 'sender',
+            reason
+        });
+        this.emitRequestEnded(pending, 'cancelled', { cancelledBy: 'sender', reason });
+        this.emit('queueChanged');
+    }
+
+    /**
+     * Finish a session once every file has been written and moved into place
+     */
+    maybeCompleteSession(session) {
+        if (session.complete || session.failed || session.cancelled) return;
+        if (session.fileIndex < session.files.length || session.pendingFiles > 0) return;
+        session.complete = true;
+        this.activeTransfers.delete(session.transferId);
+        this.resumableSessions.delete(session.resumeKey);
+        this.deleteResumeRecord(session.resumeKey);
+
+        // Tell the sender everything arrived
+        session.socket.send(FRAME.ACK, { files: session.files.length });
+        session.socket.end();
+        session.stripeChannels.forEach(channel => channel.end());
+        this.sessionEnded();
+
+        const fileName = describeFiles(session.files);
+        const filePath = session.files.length === 1
+            ? session.savedPaths[0]
+            : commonRoot(session.roots) || this.receivePath;
+
+        this.emit('transferComplete', {
+            transferId: session.transferId,
+            filePath,
+            fileName,
+            files: session.savedPaths,
+            fileCount: session.files.length,
+            hashes: session.hashes,
+            compression: compression.describeRatio(session.compression, session.originalBytes, session.transferredBytes),
+            sync: session.sync
+        });
+        this.emitSessionEnded(session, 'completed');
+    }
+
+    /**
+     * Report a transfer that is over, however it ended, so it can be kept in the history
+     */
+    emitTransferEnded(outcome, details) {
+        this.emit('transferEnded', { outcome, endedAt: Date.now(), ...details });
+    }
+
+    emitSessionEnded(session, outcome, details = {}) {
+        this.emitTransferEnded(outcome, {
+            transferId: session.transferId,
+            direction: 'receive',
+            fileName: describeFiles(session.files),
+            peer: { deviceId: session.senderDeviceId, email: session.senderEmail },
+            files: summarizeFiles(session.files, session.savedPaths),
+            totalSize: session.totalSize,
+            bytesTransferred: session.receivedBytes,
+            destination: commonRoot(session.roots) || this.receivePath,
+            startedAt: session.startedAt,
+            compression: compression.describeRatio(session.compression, session.originalBytes, session.transferredBytes),
+            networkBytes: session.transferredBytes,
+            reusedBytes: session.reusedBytes,
+            sync: session.sync,
+            ...details
+        });
+    }
+
+    /**
+     * A request that ended before it was accepted
+     */
+    emitRequestEnded(pending, outcome, details = {}) {
+        const { request, transferInfo } = pending;
+        this.emitTransferEnded(outcome, {
+            transferId: request.transferId,
+            direction: 'receive',
+            fileName: request.fileName,
+            peer: { deviceId: request.deviceId, email: request.senderEmail },
+            files: summarizeFiles(transferInfo.files),
+            totalSize: request.fileSize,
+            bytesTransferred: 0,
+            destination: request.destination,
+            startedAt: request.receivedAt,
+            ...details
+        });
+    }
+
+    /**
+     * Reject pending transfer
+     */
+    rejectTransfer(transferId) {
+        const pending = this.pendingTransfers.get(transferId);
+        if (!pending) return false;
+
+        this.pendingTransfers.delete(transferId);
+
+        // Send rejection response
+        pending.socket.send(FRAME.REJECT, {});
+        pending.socket.end();
+        this.emitRequestEnded(pending, 'rejected');
+
+        this.emit('queueChanged');
+        return true;
+    }
+
+    /**
+     * Send a single file to a device
+     */
+    sendFile(deviceIp, filePath, senderEmail, options = {}) {
+        return this.sendFiles(deviceIp, [filePath], senderEmail, options);
+    }
+
+    /**
+     * Send files and folders to a device as one transfer session.
+     * A connection that drops after the receiver accepted is retried
+     * with exponential backoff, continuing from the receiver's offsets.
+     * Pass options.deviceId to refuse anyone but that device at deviceIp,
+     * options.streams to send large files over that many connections,
+     * options.compress = false to never offer compression and
+     * options.delta = false to send files in full even where the receiver
+     * has an older copy. Folder sync passes options.sync, the linked folder's
+     * ID, and options.baseDir, the folder the file names are relative to.
+     */
+    async sendFiles(deviceIp, paths, senderEmail, options = {}) {
+        const files = buildManifest(paths, options.baseDir);
+
+        if (files.length === 0) {
+            throw new Error('Nothing to send');
+        }
+
+        const transferId = crypto.randomUUID();
+        const session = {
+            transferId,
+            sourcePaths: paths.slice(),
+            resumeKey: createResumeKey(senderEmail, files),
+            senderEmail,
+            files,
+            fileName: describeFiles(files),
+            totalSize: files.reduce((sum, file) => sum + file.size, 0),
+            deviceIp,
+            deviceId: options.deviceId || null,
+            state: 'preparing', // then 'waiting', 'queued', 'sending' or 'reconnecting'
+            accepted: false,
+            cancelled: null, // { cancelledBy, reason } once either side cancels
+            pausedBy: [],
+            sentBytes: 0,
+            socket: null,
+            readStreams: new Set(),
+            continueSending: [], // callbacks waiting for the session to be unpaused
+            streams: options.streams || 1, // extra connections to ask for, for large files
+            stripes: null, // resolves to the stripe connections of the current attempt
+            compress: options.compress !== false,
+            delta: options.delta !== false,
+            sync: options.sync || null,
+            reusedBlocks: new Set(), // 'fileIndex:block' the receiver copied from older copies, over all attempts
+            reusedBytes: 0,
+            compression: null, // algorithm the receiver picked for the current attempt
+            originalBytes: 0, // file data sent, before and after compression
+            transferredBytes: 0,
+            wake: null,
+            peerDeviceId: null,
+            startedAt: Date.now()
+        };
+        this.outgoingTransfers.set(transferId, session);
+        this.emit('sendStarted', {
+            transferId,
+            deviceId: session.deviceId,
+            fileName: session.fileName,
+            fileCount: files.length,
+            totalSize: session.totalSize,
+            sync: session.sync
+        });
+
+        try {
+            const result = await this.runSendSession(session);
+            this.emitSendEnded(session, result.accepted ? 'completed' : 'rejected');
+            return result;
+        } catch (err) {
+            if (session.cancelled) {
+                this.emitSendEnded(session, 'cancelled', session.cancelled);
+                return { accepted: session.accepted, cancelled: true, ...session.cancelled, transferId };
+            }
+            this.emitSendEnded(session, err.code === 'corrupted' ? 'corrupted' : 'failed', { error: err.message });
+            throw err;
+        } finally {
+            this.outgoingTransfers.delete(transferId);
+        }
+    }
+
+    /**
+     * Send a text snippet (a link, a code, a paragraph) to a device. It
+     * arrives without asking the other user; resolves once it has.
+     */
+    async sendText(deviceIp, text, senderEmail, options = {}) {
+        if (typeof text !== 'string' || text.length === 0) {
+            throw new Error('Nothing to send');
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new Error(`Text snippets are limited to ${MAX_TEXT_LENGTH / 1024}K characters; send longer text as a file`);
+        }
+
+        const snippet = {
+            transferId: crypto.randomUUID(),
+            direction: 'send',
+            text,
+            startedAt: Date.now()
+        };
+        const peer = { deviceId: options.deviceId || null, email: null };
+
+        try {
+            await this.sendRequest(deviceIp, options.deviceId, FRAME.TEXT, {
+                transferId: snippet.transferId,
+                text,
+                email: senderEmail
+            });
+        } catch (err) {
+            if (err.code === 'rejected') {
+                this.emitTextEnded(snippet, peer, 'rejected');
+                return { delivered: false, transferId: snippet.transferId };
+            }
+            this.emitTextEnded(snippet, peer, 'failed', { error: err.message });
+            throw err;
+        }
+
+        this.emitTextEnded(snippet, peer, 'completed');
+        return { delivered: true, transferId: snippet.transferId };
+    }
+
+    emitTextEnded(snippet, peer, outcome, details = {}) {
+        const size = Buffer.byteLength(snippet.text);
+        this.emitTransferEnded(outcome, {
+            transferId: snippet.transferId,
+            direction: snippet.direction,
+            fileName: describeText(snippet.text),
+            peer,
+            files: [],
+            text: snippet.text,
+            totalSize: size,
+            bytesTransferred: outcome === 'completed' ? size : 0,
+            startedAt: snippet.startedAt,
+            ...details
+        });
+    }
+
+    emitSendEnded(session, outcome, details = {}) {
+        this.emitTransferEnded(outcome, {
+            transferId: session.transferId,
+            direction: 'send',
+            fileName: session.fileName,
+            peer: { deviceId: session.peerDeviceId || session.deviceId, email: null },
+            files: summarizeFiles(session.files, session.files.map(file => file.absolutePath)),
+            sourcePaths: session.sourcePaths,
+            totalSize: session.totalSize,
+            bytesTransferred: session.sentBytes,
+            startedAt: session.startedAt,
+            compression: compression.describeRatio(session.compression, session.originalBytes, session.transferredBytes),
+            networkBytes: session.transferredBytes,
+            reusedBytes: session.reusedBytes,
+            sync: session.sync,
+            ...details
+        });
+    }
+
+    /**
+     * Hash the files of a send session, then connect (and reconnect) until it is done
+     */
+    async runSendSession(session) {
+        const { transferId, files, totalSize } = session;
+
+        // Hash everything up front so the receiver can verify as it goes
+        let hashedBytes = 0;
+        for (const file of files) {
+            Object.assign(file, await hashFile(file.absolutePath, () => Boolean(session.cancelled)));
+            hashedBytes += file.size;
+            this.emitProgress(transferId, hashedBytes, totalSize, 'preparing', {
+                fileCount: files.length,
+                fileName: file.relativePath
+            });
+        }
+
+        session.state = 'waiting';
+        let attempt = 0;
+        for (;;) {
+            if (session.cancelled) throw createCancelledError();
+            session.progressed = false;
+
+            try {
+                const accepted = await this.attemptSend(session.deviceIp, session);
+                return { accepted, transferId };
+            } catch (err) {
+                // Only retry once the receiver has agreed to the transfer,
+                // and never when the receiver refused the data itself
+                if (!session.accepted || err.retryable === false) throw err;
+
+                attempt = session.progressed ? 1 : attempt + 1;
+                if (attempt > MAX_RETRIES) throw err;
+
+                const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+                session.state = 'reconnecting';
+                this.emit('transferRetrying', {
+                    transferId,
+                    attempt,
+                    maxRetries: MAX_RETRIES,
+                    delay,
+                    error: err.message
+                });
+
+                await new Promise(resolve => {
+                    session.wake = resolve;
+                    setTimeout(resolve, delay);
+                });
+                session.wake = null;
+            }
+        }
+    }
+
+    /**
+     * Cancel an outgoing transfer: tell the receiver why and stop sending.
+     * While disconnected between retries, the receiver is notified separately
+     * so it can drop the partial files it kept for resuming.
+     */
+    cancelSend(transferId, reason = null) {
+        const session = this.outgoingTransfers.get(transferId);
+        if (!session || session.cancelled) return false;
+
+        session.cancelled = { cancelledBy: 'sender', reason };
+        this.stopReading(session);
+
+        if (session.socket && !session.socket.destroyed) {
+            session.socket.send(FRAME.CANCEL, { reason });
+            session.socket.end();
+        } else if (session.accepted) {
+            this.sendCancelNotice(session, reason);
+        }
+
+        if (session.wake) session.wake();
+
+        this.emit('transferCancelled', {
+            transferId,
+            fileName: session.fileName,
+            direction: 'send',
+            cancelledBy: 'sender',
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * Outgoing transfers in progress, so a reloaded send page can pick them up again
+     */
+    getOutgoingTransfers() {
+        return Array.from(this.outgoingTransfers.values())
+            .filter(session => !session.cancelled)
+            .map(session => ({
+                transferId: session.transferId,
+                deviceId: session.deviceId,
+                fileName: session.fileName,
+                fileCount: session.files.length,
+                totalSize: session.totalSize,
+                sentBytes: session.sentBytes,
+                state: session.state,
+                pausedBy: session.pausedBy.slice(),
+                sync: session.sync
+            }));
+    }
+
+    /**
+     * Pause a transfer in either direction. Each side can only lift its own
+     * pause; the data keeps flowing once neither side holds it.
+     */
+    pauseTransfer(transferId) {
+        return this.setTransferPaused(transferId, true);
+    }
+
+    resumeTransfer(transferId) {
+        return this.setTransferPaused(transferId, false);
+    }
+
+    setTransferPaused(transferId, paused) {
+        const frame = paused ? FRAME.PAUSE : FRAME.RESUME;
+
+        const outgoing = this.outgoingTransfers.get(transferId);
+        if (outgoing) {
+            if (outgoing.cancelled || !setPausedBy(outgoing, 'sender', paused)) return false;
+
+            // Before acceptance there is nothing to tell; the pause is sent once accepted
+            if (outgoing.state === 'sending' && outgoing.socket && outgoing.socket.supports('pause')) {
+                outgoing.socket.send(frame, {});
+            }
+            this.applySendPause(outgoing);
+            this.emitPauseChanged(outgoing, 'send', 'sender');
+            return true;
+        }
+
+        const session = this.activeTransfers.get(transferId);
+        if (!session || !setPausedBy(session, 'receiver', paused)) return false;
+
+        // Stop reading (and writing to disk); the sender stops reading its files
+        if (session.socket.supports('pause')) session.socket.send(frame, {});
+        this.updateReceiveFlow(session);
+        this.emitPauseChanged(session, 'receive', 'receiver');
+        this.emit('queueChanged');
+        return true;
+    }
+
+    /**
+     * Stop or restart reading from disk to match a send session's pause state
+     */
+    applySendPause(session) {
+        const paused = session.pausedBy.length > 0;
+        for (const readStream of session.readStreams) {
+            if (paused) {
+                readStream.pause();
+            } else if (!readStream.held) {
+                readStream.resume();
+            }
+        }
+        if (!paused) {
+            session.continueSending.splice(0).forEach(continueSending => continueSending());
+        }
+    }
+
+    /**
+     * Stop reading every file of a send session
+     */
+    stopReading(session) {
+        for (const readStream of session.readStreams) {
+            readStream.destroy();
+        }
+        session.readStreams.clear();
+    }
+
+    emitPauseChanged(session, direction, changedBy) {
+        this.emit('transferPauseChanged', {
+            transferId: session.transferId,
+            fileName: describeFiles(session.files),
+            direction,
+            paused: session.pausedBy.length > 0,
+            pausedBy: session.pausedBy.slice(),
+            changedBy
+        });
+    }
+
+    /**
+     * Best effort: tell a receiver we are not coming back for a session it holds
+     */
+    sendCancelNotice(session, reason) {
+        const socket = this.createOutgoingChannel(session.deviceIp, session.deviceId);
+        const timer = setTimeout(() => socket.destroy(), RETRY_MAX_DELAY);
+
+        socket.on('secure', () => {
+            socket.send(FRAME.CANCEL, { resumeKey: session.resumeKey, reason });
+            socket.end();
+        });
+        socket.on('error', () => {
+            // The receiver drops the partial files on its own after a while
+        });
+        socket.on('close', () => clearTimeout(timer));
+    }
+
+    /**
+     * Run one connection attempt for a send session.
+     * Resolves with whether the receiver accepted, rejects if the
+     * connection is lost before the receiver confirms completion.
+     */
+    attemptSend(deviceIp, session) {
+        return new Promise((resolve, reject) => {
+            const { transferId, fileName } = session;
+            const socket = this.createOutgoingChannel(deviceIp, session.deviceId);
+            let outcome = null;
+            let socketError = null;
+
+            session.socket = socket;
+
+            socket.on('secure', (peer) => {
+                session.peerDeviceId = peer.deviceId;
+                this.emit('peerVerified', { transferId, ...peer });
+
+                // Offer the session manifest
+                socket.send(FRAME.OFFER, {
+                    transferId,
+                    resumeKey: session.resumeKey,
+                    senderEmail: session.senderEmail,
+                    streams: session.streams,
+                    compression: session.compress && socket.supports('compression') ? compression.ALGORITHMS : [],
+                    delta: session.delta && socket.supports('delta'),
+                    sync: session.sync,
+                    files: session.files.map(file => ({
+                        relativePath: file.relativePath,
+                        size: file.size,
+                        sha256: file.sha256,
+                        blockHashes: file.blockHashes
+                    }))
+                });
+            });
+
+            socket.on('message', (type, message) => {
+                switch (type) {
+                    case FRAME.PAUSE:
+                    case FRAME.RESUME:
+                        if (setPausedBy(session, 'receiver', type === FRAME.PAUSE)) {
+                            this.applySendPause(session);
+                            this.emitPauseChanged(session, 'send', 'receiver');
+                        }
+                        break;
+                    case FRAME.CANCEL: {
+                        // The receiver cancelled the session
+                        if (session.cancelled) break;
+
+                        const reason = typeof message.reason === 'string' ? message.reason : null;
+                        session.cancelled = { cancelledBy: 'receiver', reason };
+                        this.stopReading(session);
+                        socket.end();
+
+                        this.emit('transferCancelled', {
+                            transferId,
+                            fileName,
+                            direction: 'send',
+                            cancelledBy: 'receiver',
+                            reason
+                        });
+                        break;
+                    }
+                    case FRAME.ERROR:
+                        socketError = Object.assign(new Error(message.error || 'The receiver reported an error'), {
+                            code: message.code,
+                            retryable: false
+                        });
+                        socket.end();
+                        break;
+                    case FRAME.QUEUED:
+                        session.state = 'queued';
+                        this.emit('sendQueued', { transferId, fileName });
+                        break;
+                    case FRAME.ACK:
+                        outcome = 'complete';
+                        this.emit('sendComplete', {
+                            transferId,
+                            fileCount: session.files.length,
+                            compression: compression.describeRatio(session.compression, session.originalBytes, session.transferredBytes),
+                            sync: session.sync
+                        });
+                        break;
+                    case FRAME.ACCEPT:
+                        if (!session.accepted) {
+                            session.accepted = true;
+                            this.emit('transferAccepted', { transferId, fileName });
+                        }
+                        session.state = 'sending';
+
+                        // Every connection is a fresh session for the receiver, without its pause
+                        if (setPausedBy(session, 'receiver', false)) {
+                            this.emitPauseChanged(session, 'send', 'receiver');
+                        }
+                        if (session.pausedBy.includes('sender') && socket.supports('pause')) {
+                            socket.send(FRAME.PAUSE, {});
+                        }
+                        session.compression = compression.ALGORITHMS.includes(message.compression) ? message.compression : null;
+                        this.streamFiles(socket, session, message).catch((err) => {
+                            // Let the receiver's own explanation, if one is on its way, win
+                            if (!socketError) socketError = err;
+                            socket.end();
+                        });
+                        break;
+                    case FRAME.REJECT:
+                        outcome = 'rejected';
+                        this.emit('transferRejected', { transferId, fileName });
+                        socket.end();
+                        break;
+                    default:
+                        socketError = new Error(`Unexpected ${FRAME_NAMES[type] || type} message from the receiver`);
+                        socket.destroy();
+                }
+            });
+
+            socket.on('error', (err) => {
+                // Keep the receiver's own explanation if it sent one
+                if (!socketError) socketError = err;
+            });
+
+            socket.on('close', () => {
+                session.socket = null;
+                this.closeStripes(session);
+                this.stopReading(session);
+                // Unblock anything waiting for a resume; it finds the connection gone
+                session.continueSending.splice(0).forEach(continueSending => continueSending());
+
+                if (outcome === 'complete') {
+                    resolve(true);
+                } else if (outcome === 'rejected') {
+                    resolve(false);
+                } else if (session.cancelled) {
+                    reject(createCancelledError());
+                } else {
+                    reject(socketError || new Error('Connection closed before the transfer completed'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Stream every file of a session, one after another, starting each file
+     * at the offset the receiver already has. Large files go over stripes
+     * instead when the receiver agreed to them, and files the receiver has
+     * an older copy of are sent as the blocks that changed.
+     */
+    async streamFiles(socket, session, { offsets = [], stripes = null, signatures = null }) {
+        const { files, totalSize, transferId } = session;
+        session.sentBytes = offsets.reduce((sum, offset) => sum + (offset || 0), 0);
+
+        for (const [fileIndex, file] of files.entries()) {
+            const start = Math.min(offsets[fileIndex] || 0, file.size);
+            if (start >= file.size) continue;
+
+            await whenUnpaused(session);
+            if (socket.destroyed || session.cancelled) return;
+
+            let fileBytes = start;
+            const onChunk = (length) => {
+                session.progressed = true;
+                fileBytes += length;
+                session.sentBytes += length;
+                this.emitProgress(transferId, session.sentBytes, totalSize, 'sending', {
+                    fileIndex,
+                    fileCount: files.length,
+                    fileName: file.relativePath,
+                    fileBytes,
+                    fileTotal: file.size,
+                    transferredBytes: session.transferredBytes,
+                    sync: session.sync
+                });
+            };
+
+            const reusable = session.delta && signatures ? findReusableBlocks(file, signatures[fileIndex]) : new Set();
+            if (isStriped(stripes, file, start, reusable)) {
+                await this.sendStriped(socket, session, stripes, fileIndex, start, onChunk);
+            } else if (reusable.size > 0) {
+                await this.sendChangedBlocks(session, socket, fileIndex, start, reusable, onChunk);
+            } else {
+                await this.sendRange(session, socket, file, start, file.size, onChunk);
+            }
+        }
+    }
+
+    /**
+     * Send bytes [start, end) of a file as DATA (or COMPRESSED) frames.
+     * Reading stops while a chunk is being compressed, while the connection's
+     * send buffer is full and while the session is paused, so a slow link
+     * never pulls a whole file into memory.
+     */
+    sendRange(session, socket, file, start, end, onChunk) {
+        return new Promise((resolve, reject) => {
+            const readStream = fs.createReadStream(file.absolutePath, { start, end: end - 1, highWaterMark: CHUNK_SIZE });
+            let algorithm = session.compression && !file.incompressible && compression.isCompressible(file.relativePath)
+                ? session.compression
+                : null;
+            let savedBytes = 0;
+            let triedChunks = 0;
+            session.readStreams.add(readStream);
+            if (session.pausedBy.length > 0) readStream.pause();
+
+            const hold = () => {
+                readStream.held = true;
+                readStream.pause();
+            };
+            const release = () => {
+                readStream.held = false;
+                if (session.pausedBy.length === 0) readStream.resume();
+            };
+
+            let sending = Promise.resolve(); // chunks waiting to be compressed, in order
+
+            const send = (chunk, compressed) => {
+                // Chunks that do not shrink are sent as they are
+                const useCompressed = compressed && compressed.length < chunk.length;
+                const flushed = useCompressed ? socket.writeCompressed(compressed) : socket.write(chunk);
+                session.originalBytes += chunk.length;
+                session.transferredBytes += useCompressed ? compressed.length : chunk.length;
+                onChunk(chunk.length);
+                return flushed;
+            };
+
+            readStream.on('data', (chunk) => {
+                if (socket.destroyed) {
+                    readStream.destroy();
+                    return;
+                }
+
+                if (!algorithm) {
+                    if (!send(chunk, null)) {
+                        hold();
+                        socket.once('drain', release);
+                    }
+                    return;
+                }
+
+                hold();
+                sending = sending
+                    .then(() => compression.compressChunk(algorithm, chunk))
+                    .then((compressed) => {
+                        if (socket.destroyed || session.cancelled) return;
+
+                        // Give up on data that does not compress, whatever its extension says
+                        savedBytes += Math.max(0, chunk.length - compressed.length);
+                        if (++triedChunks === INCOMPRESSIBLE_PROBE_CHUNKS && savedBytes < chunk.length) {
+                            algorithm = null;
+                            file.incompressible = true;
+                        }
+                        if (send(chunk, compressed)) {
+                            release();
+                        } else {
+                            socket.once('drain', release);
+                        }
+                    }, (err) => readStream.destroy(err));
+            });
+
+            readStream.on('error', (err) => {
+                console.error('File read error:', err);
+                reject(err);
+            });
+
+            // Also reached when the stream is destroyed by a cancel or a lost connection.
+            // The last chunks may still be compressing.
+            readStream.on('close', () => {
+                session.readStreams.delete(readStream);
+                sending.then(resolve);
+            });
+        });
+    }
+
+    /**
+     * Send the blocks of a file that the receiver's older copy does not have,
+     * in order. The receiver copies the others from that copy as it gets to them.
+     */
+    async sendChangedBlocks(session, socket, fileIndex, start, reusable, onChunk) {
+        const file = session.files[fileIndex];
+        let block = Math.floor(start / HASH_BLOCK_SIZE);
+        while (block * HASH_BLOCK_SIZE < file.size && !socket.destroyed && !session.cancelled) {
+            const blockStart = block * HASH_BLOCK_SIZE;
+            if (reusable.has(block)) {
+                const length = Math.min(HASH_BLOCK_SIZE, file.size - blockStart);
+                if (!session.reusedBlocks.has(`${fileIndex}:${block}`)) {
+                    session.reusedBlocks.add(`${fileIndex}:${block}`);
+                    session.reusedBytes += length;
+                }
+                onChunk(length);
+                block++;
+                continue;
+            }
+
+            // One read for each run of changed blocks
+            let end = block + 1;
+            while (end * HASH_BLOCK_SIZE < file.size && !reusable.has(end)) end++;
+            await this.sendRange(session, socket, file, Math.max(start, blockStart), Math.min(end * HASH_BLOCK_SIZE, file.size), onChunk);
+            block = end;
+        }
+    }
+
+    /**
+     * Send a large file over the session's stripes. Each stripe takes the
+     * next block, sends it and waits for the receiver to confirm the block
+     * was verified and written before it takes another.
+     */
+    async sendStriped(socket, session, stripes, fileIndex, start, onChunk) {
+        const file = session.files[fileIndex];
+        if (!session.stripes) {
+            session.stripes = this.openStripes(session, stripes);
+        }
+        const channels = await session.stripes;
+
+        const blocks = [];
+        for (let block = Math.floor(start / HASH_BLOCK_SIZE); block * HASH_BLOCK_SIZE < file.size; block++) {
+            blocks.push(block);
+        }
+
+        await Promise.all(channels.map(async (channel) => {
+            while (blocks.length > 0) {
+                await whenUnpaused(session);
+                if (socket.destroyed || channel.destroyed || session.cancelled) return;
+
+                const block = blocks.shift();
+                const blockStart = block * HASH_BLOCK_SIZE;
+                const acknowledged = this.waitForBlockAck(channel, fileIndex, block);
+
+                channel.send(FRAME.BLOCK, { fileIndex, block });
+                await Promise.all([
+                    this.sendRange(session, channel, file, blockStart, Math.min(blockStart + HASH_BLOCK_SIZE, file.size), onChunk),
+                    acknowledged
+                ]);
             }
-            this.activeTransfers.delete(transferId);
-            this.emit('transferCancelled', { transferId });
+        }));
+    }
+
+    /**
+     * Open the extra connections the receiver agreed to, for this attempt
+     */
+    openStripes(session, stripes) {
+        if (typeof stripes.token !== 'string' || !Number.isInteger(stripes.count) ||
+            stripes.count < 1 || stripes.count > MAX_STRIPES) {
+            return Promise.reject(new Error('Invalid stripe agreement from the receiver'));
+        }
+
+        session.stripeChannels = [];
+        return Promise.all(Array.from({ length: stripes.count }, () => new Promise((resolve, reject) => {
+            const channel = this.createOutgoingChannel(session.deviceIp, session.peerDeviceId);
+            session.stripeChannels.push(channel);
+
+            channel.on('secure', () => {
+                channel.send(FRAME.STRIPE, { token: stripes.token });
+                resolve(channel);
+            });
+            channel.on('error', reject);
+            channel.on('close', () => reject(new Error('Could not open a parallel connection')));
+        })));
+    }
+
+    /**
+     * Resolves when the receiver confirms a block sent over a stripe
+     */
+    waitForBlockAck(channel, fileIndex, block) {
+        return new Promise((resolve, reject) => {
+            const onMessage = (type, message) => {
+                if (type === FRAME.ERROR) {
+                    cleanup();
+                    reject(Object.assign(new Error(message.error || 'The receiver reported an error'), {
+                        code: message.code,
+                        retryable: false
+                    }));
+                } else if (type === FRAME.ACK && message.fileIndex === fileIndex && message.block === block) {
+                    cleanup();
+                    resolve();
+                }
+            };
+            const onClose = () => {
+                cleanup();
+                reject(new Error('A parallel connection closed before the transfer completed'));
+            };
+            const cleanup = () => {
+                channel.removeListener('message', onMessage);
+                channel.removeListener('close', onClose);
+            };
+
+            channel.on('message', onMessage);
+            channel.on('close', onClose);
+        });
+    }
+
+    /**
+     * Drop the stripes of an attempt that is over
+     */
+    closeStripes(session) {
+        (session.stripeChannels || []).forEach(channel => channel.destroy());
+        session.stripeChannels = null;
+        session.stripes = null;
+    }
+
+    /**
+     * Emit progress event
+     */
+    emitProgress(transferId, bytes, total, type = 'receiving', details = {}) {
+        const progress = total > 0 ? Math.round((bytes / total) * 100) : 100;
+        this.emit('transferProgress', {
+            transferId,
+            bytes,
+            total,
+            progress,
+            type,
+            ...details
+        });
+    }
+
+    /**
+     * Cancel a transfer in either direction; the other side is told who
+     * cancelled and why through a transferCancelled event of its own
+     */
+    cancelTransfer(transferId, reason = null) {
+        if (this.outgoingTransfers.has(transferId)) {
+            return this.cancelSend(transferId, reason);
+        }
+
+        // Not started yet: simply turn it down
+        if (this.pendingTransfers.has(transferId)) {
+            return this.rejectTransfer(transferId);
+        }
+
+        const session = this.activeTransfers.get(transferId);
+        if (session) {
+            this.cancelSession(session, 'receiver', reason);
             return true;
         }
         return false;
@@ -331,3 +2661,7 @@ class FileTransfer extends EventEmitter {
 }
 
 module.exports = FileTransfer;
+module.exports.TRANSFER_PORT = TRANSFER_PORT;
+module.exports.buildManifest = buildManifest;
+module.exports.describeFiles = describeFiles;
+module.exports.hashFile = hashFile;
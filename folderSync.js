@@ -0,0 +1,750 @@
+/**
+ * folderSync.js - Keep a folder in step with a folder on a paired device
+ * Every linked folder has an index of its files: hash, size and modification
+ * time, plus the hash both devices last agreed on (the base). Whenever the
+ * other device is online, the two exchange indexes and each side works out
+ * on its own what to do: fetch what changed over there, delete what was
+ * deleted there, and keep both copies of a file that changed on both sides.
+ * Files arrive as ordinary transfers, so they are verified on the way and
+ * a modified file only sends the blocks that changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { FRAME } = require('./protocol');
+const { hashFile } = require('./fileTransfer');
+const { sanitizeRelativePath, sanitizeFileName, findAvailablePath } = require('./fileNames');
+
+const WATCH_DELAY = 2000; // let a burst of changes settle before syncing
+const RESCAN_INTERVAL = 60 * 1000; // also catches changes the watcher missed
+const FETCH_TIMEOUT = 2 * 60 * 1000; // files the other device has not started sending by then are asked for again
+const MAX_ACTIVITY = 50;
+const PART_EXTENSION = '.part'; // files still being received (see fileTransfer.js)
+
+const EMPTY_ENTRY = { hash: null, base: null, size: 0, modified: 0 };
+
+function isSha256OrNull(value) {
+    return value === null || (typeof value === 'string' && /^[0-9a-f]{64}$/.test(value));
+}
+
+function createSyncError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Every file in a linked folder, by its '/' separated path.
+ * Names another device could not create as they are, links and
+ * files still being received are left out.
+ */
+function listFiles(root) {
+    const files = new Map();
+
+    const walk = (directory, prefix) => {
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            const relativePath = prefix + entry.name;
+            const absolutePath = path.join(directory, entry.name);
+
+            if (entry.isDirectory()) {
+                walk(absolutePath, relativePath + '/');
+            } else if (entry.isFile() && !entry.name.endsWith(PART_EXTENSION)) {
+                try {
+                    if (sanitizeRelativePath(relativePath) !== relativePath) continue;
+                    const stats = fs.statSync(absolutePath);
+                    files.set(relativePath, { absolutePath, size: stats.size, modified: stats.mtimeMs });
+                } catch (err) {
+                    // Gone already, or a name that cannot be synced
+                }
+            }
+        }
+    };
+
+    walk(root, '');
+    return files;
+}
+
+/**
+ * Whether a copy should keep the file's name when both sides changed it:
+ * the newer one wins, ties go to the higher hash so both sides agree
+ */
+function wins(entry, other) {
+    return entry.modified > other.modified || (entry.modified === other.modified && entry.hash > other.hash);
+}
+
+/**
+ * Work out what this side has to do to catch up with the other.
+ * Entries are { hash, base, size, modified }; hash is null once a file is
+ * deleted. A side still holding what either side last agreed on has not
+ * changed the file. Returns { action, path } items, action being
+ * 'agree' (both have the same), 'fetch', 'delete' or 'conflict' (keep this
+ * side's copy under another name, then fetch the other).
+ */
+function planSync(local, remote) {
+    const actions = [];
+    const paths = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    for (const filePath of paths) {
+        const mine = local[filePath] || EMPTY_ENTRY;
+        const theirs = remote[filePath] || EMPTY_ENTRY;
+
+        if (mine.hash === theirs.hash) {
+            if (local[filePath] && (mine.base !== mine.hash || mine.hash === null)) {
+                actions.push({ action: 'agree', path: filePath });
+            }
+            continue;
+        }
+
+        const mineUnchanged = mine.hash === mine.base || mine.hash === theirs.base;
+        const theirsUnchanged = theirs.hash === theirs.base || theirs.hash === mine.base;
+
+        if (mineUnchanged) {
+            actions.push({ action: theirs.hash === null ? 'delete' : 'fetch', path: filePath, hash: theirs.hash });
+        } else if (theirsUnchanged || theirs.hash === null) {
+            // Changed here only, or changed here and deleted there: the other side fetches it
+            continue;
+        } else if (mine.hash === null) {
+            // Deleted here but changed there: keep the changes
+            actions.push({ action: 'fetch', path: filePath, hash: theirs.hash });
+        } else if (wins(theirs, mine)) {
+            actions.push({ action: 'conflict', path: filePath, hash: theirs.hash });
+        }
+        // Otherwise this side's copy keeps the name and the other side renames its own
+    }
+
+    return actions;
+}
+
+/**
+ * Name for this device's copy of a file that changed on both sides
+ */
+function conflictPath(filePath, deviceName) {
+    const extension = path.extname(filePath);
+    const stem = extension ? filePath.slice(0, -extension.length) : filePath;
+    return findAvailablePath(`${stem} (conflict from ${sanitizeFileName(deviceName || 'this device')})${extension}`);
+}
+
+/**
+ * Remove the folders left empty between a deleted file and the folder root
+ */
+function removeEmptyFolders(root, filePath) {
+    for (let directory = path.dirname(filePath); directory.startsWith(root + path.sep); directory = path.dirname(directory)) {
+        try {
+            fs.rmdirSync(directory);
+        } catch (err) {
+            return; // not empty
+        }
+    }
+}
+
+class FolderSync extends EventEmitter {
+    /**
+     * @param options.fileTransfer FileTransfer instance the files go through
+     * @param options.discovery DeviceDiscovery instance telling when the other device is around
+     * @param options.linkStore { getAll(), save(link), remove(syncId) } for the linked folders
+     * @param options.indexDir folder for the index of every linked folder
+     * @param options.isPairedDevice (deviceId, fingerprint, email) -> whether that device may sync
+     */
+    constructor(options) {
+        super();
+        this.fileTransfer = options.fileTransfer;
+        this.discovery = options.discovery;
+        this.linkStore = options.linkStore;
+        this.indexDir = options.indexDir;
+        this.isPairedDevice = options.isPairedDevice;
+        this.links = new Map(); // syncId -> link with its index and sync state
+        this.invites = new Map(); // syncId -> request to link a folder, waiting for the user
+        this.dismissedInvites = new Set();
+        this.incoming = new Map(); // transferId -> link the files are for
+        this.rescanTimer = null;
+
+        this.onDeviceFound = (device) => this.linksFor(device.deviceId).forEach(link => this.scheduleSync(link, 0));
+        this.onDeviceLost = (device) => {
+            if (this.linksFor(device.deviceId).length > 0) this.emit('statusChanged');
+        };
+        this.onFileComplete = (data) => this.recordReceivedFile(data);
+        this.onTransferEnded = (data) => this.recordTransferEnded(data);
+    }
+
+    /**
+     * Load the linked folders and start watching them
+     */
+    start() {
+        fs.mkdirSync(this.indexDir, { recursive: true });
+        for (const record of Object.values(this.linkStore.getAll())) {
+            this.startLink(record);
+        }
+
+        this.discovery.on('deviceFound', this.onDeviceFound);
+        this.discovery.on('deviceLost', this.onDeviceLost);
+        this.fileTransfer.on('fileComplete', this.onFileComplete);
+        this.fileTransfer.on('transferEnded', this.onTransferEnded);
+        this.rescanTimer = setInterval(() => {
+            this.links.forEach(link => this.scheduleSync(link, 0));
+        }, RESCAN_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.rescanTimer);
+        this.discovery.removeListener('deviceFound', this.onDeviceFound);
+        this.discovery.removeListener('deviceLost', this.onDeviceLost);
+        this.fileTransfer.removeListener('fileComplete', this.onFileComplete);
+        this.fileTransfer.removeListener('transferEnded', this.onTransferEnded);
+        this.links.forEach(link => this.stopLink(link));
+        this.links.clear();
+    }
+
+    /**
+     * Link a local folder with a paired device. The other device is asked
+     * on the first sync and links a folder of its own once its user accepts.
+     */
+    addFolder(localPath, device) {
+        const record = {
+            syncId: crypto.randomBytes(16).toString('hex'),
+            name: path.basename(localPath),
+            localPath,
+            deviceId: device.deviceId,
+            deviceName: device.deviceName,
+            createdAt: Date.now()
+        };
+        this.linkStore.save(record);
+        const link = this.startLink(record);
+        this.scheduleSync(link, 0);
+        return record;
+    }
+
+    /**
+     * Accept a request to link a folder, syncing it with localPath
+     */
+    acceptInvite(syncId, localPath) {
+        const invite = this.invites.get(syncId);
+        if (!invite) return null;
+        this.invites.delete(syncId);
+
+        const record = {
+            syncId,
+            name: invite.name,
+            localPath,
+            deviceId: invite.deviceId,
+            deviceName: invite.deviceName,
+            createdAt: Date.now()
+        };
+        this.linkStore.save(record);
+        const link = this.startLink(record);
+        this.scheduleSync(link, 0);
+        return record;
+    }
+
+    declineInvite(syncId) {
+        this.dismissedInvites.add(syncId);
+        const declined = this.invites.delete(syncId);
+        this.emit('statusChanged');
+        return declined;
+    }
+
+    /**
+     * Stop syncing a folder. Its files stay where they are on both devices.
+     */
+    removeFolder(syncId) {
+        const link = this.links.get(syncId);
+        if (!link) return false;
+
+        this.stopLink(link);
+        this.links.delete(syncId);
+        this.dismissedInvites.add(syncId);
+        this.linkStore.remove(syncId);
+        fs.rmSync(this.getIndexPath(syncId), { force: true });
+        this.emit('statusChanged');
+        return true;
+    }
+
+    /**
+     * Sync a folder now instead of waiting for the next change
+     */
+    syncNow(syncId) {
+        const link = this.links.get(syncId);
+        if (!link) return false;
+        this.scheduleSync(link, 0);
+        return true;
+    }
+
+    /**
+     * Local folder of a link with the given device, or null
+     */
+    getLocalPath(syncId, deviceId) {
+        const link = this.links.get(syncId);
+        return link && link.record.deviceId === deviceId ? link.record.localPath : null;
+    }
+
+    /**
+     * Linked folders and requests to link one, for the sync page
+     */
+    getStatus() {
+        const folders = Array.from(this.links.values()).map(link => ({
+            ...link.record,
+            online: Boolean(this.discovery.findDeviceById(link.record.deviceId)),
+            state: link.state,
+            error: link.error,
+            lastSyncedAt: link.lastSyncedAt,
+            fileCount: Object.values(link.index.entries).filter(entry => entry.hash !== null).length,
+            fetching: link.fetching.size,
+            activity: link.activity.slice()
+        }));
+        return { folders, invites: Array.from(this.invites.values()) };
+    }
+
+    // ==================== LINKS ====================
+
+    startLink(record) {
+        const link = {
+            record,
+            index: this.loadIndex(record.syncId),
+            state: 'idle', // 'scanning', 'syncing', 'waiting' (for the other device to accept) or 'error'
+            error: null,
+            lastSyncedAt: null,
+            peerVersion: null, // index version of the other side last synced against
+            fetching: new Map(), // path -> { requestedAt, transferId } asked of the other device
+            activity: [],
+            running: false,
+            again: false,
+            timer: null,
+            watcher: null
+        };
+        this.links.set(record.syncId, link);
+
+        try {
+            link.watcher = fs.watch(record.localPath, { recursive: true }, () => this.scheduleSync(link, WATCH_DELAY));
+            link.watcher.on('error', () => {});
+        } catch (err) {
+            // No recursive watching here; the periodic rescan picks up changes
+        }
+        return link;
+    }
+
+    stopLink(link) {
+        clearTimeout(link.timer);
+        if (link.watcher) link.watcher.close();
+    }
+
+    linksFor(deviceId) {
+        return Array.from(this.links.values()).filter(link => link.record.deviceId === deviceId);
+    }
+
+    getIndexPath(syncId) {
+        return path.join(this.indexDir, syncId + '.json');
+    }
+
+    loadIndex(syncId) {
+        try {
+            const index = JSON.parse(fs.readFileSync(this.getIndexPath(syncId), 'utf8'));
+            if (index && typeof index.entries === 'object') return index;
+        } catch (err) {
+            // First sync of this folder
+        }
+        return { version: 0, entries: {} };
+    }
+
+    /**
+     * Save a link's index after a change, under a new version
+     */
+    saveIndex(link) {
+        link.index.version++;
+        fs.writeFileSync(this.getIndexPath(link.record.syncId), JSON.stringify(link.index));
+    }
+
+    setState(link, state, error = null) {
+        link.state = state;
+        link.error = error;
+        this.emit('statusChanged');
+    }
+
+    addActivity(link, type, filePath, detail = null) {
+        link.activity.unshift({ type, path: filePath, detail, at: Date.now() });
+        link.activity.length = Math.min(link.activity.length, MAX_ACTIVITY);
+    }
+
+    // ==================== SYNCING ====================
+
+    /**
+     * Sync a link after a delay, or once more after the sync already running
+     */
+    scheduleSync(link, delay) {
+        clearTimeout(link.timer);
+        link.timer = setTimeout(() => {
+            if (link.running) {
+                link.again = true;
+                return;
+            }
+            this.runSync(link);
+        }, delay);
+    }
+
+    /**
+     * One round: look for local changes, swap indexes with the other
+     * device, apply its changes here and ask it for the files needed
+     */
+    async runSync(link) {
+        const { record } = link;
+        const device = this.discovery.findDeviceById(record.deviceId);
+        if (!device || !this.links.has(record.syncId)) return;
+
+        link.running = true;
+        try {
+            if (!fs.existsSync(record.localPath)) {
+                // Never take a missing (or unplugged) folder for every file being deleted
+                throw createSyncError(`The folder ${record.localPath} no longer exists`, 'folder-missing');
+            }
+
+            this.setState(link, 'scanning', null);
+            await this.scanFolder(link);
+
+            this.setState(link, 'syncing', null);
+            const reply = await this.fileTransfer.sendRequest(device.ip, device.deviceId, FRAME.SYNC_INDEX, this.describeIndex(link));
+            const remote = this.parseEntries(reply.entries);
+            link.peerVersion = reply.version;
+
+            const { changed, fetches } = this.applyPlan(link, planSync(link.index.entries, remote));
+            if (changed) this.saveIndex(link);
+            if (fetches.length > 0) {
+                // The files may start arriving before the answer does
+                const requestedAt = Date.now();
+                fetches.forEach(filePath => link.fetching.set(filePath, { requestedAt, transferId: null }));
+                try {
+                    await this.fileTransfer.sendRequest(device.ip, device.deviceId, FRAME.SYNC_FETCH, {
+                        syncId: record.syncId,
+                        email: this.fileTransfer.myEmail,
+                        paths: fetches
+                    });
+                } catch (err) {
+                    fetches.forEach(filePath => link.fetching.delete(filePath));
+                    throw err;
+                }
+            }
+
+            link.lastSyncedAt = Date.now();
+            this.setState(link, 'idle');
+        } catch (err) {
+            this.setState(link, err.code === 'sync-not-linked' ? 'waiting' : 'error', err.message);
+        } finally {
+            link.running = false;
+            if (link.again) {
+                link.again = false;
+                this.scheduleSync(link, 0);
+            }
+        }
+    }
+
+    /**
+     * Bring the index in line with the folder: hash new and modified files
+     * and mark the ones that are gone as deleted
+     */
+    async scanFolder(link) {
+        const { entries } = link.index;
+        const files = listFiles(link.record.localPath);
+        let changed = false;
+
+        for (const [filePath, file] of files) {
+            const entry = entries[filePath];
+            if (entry && entry.hash !== null && entry.size === file.size && entry.modified === file.modified) continue;
+
+            let sha256;
+            try {
+                ({ sha256 } = await hashFile(file.absolutePath));
+            } catch (err) {
+                continue; // removed while scanning; the next scan sees it gone
+            }
+            entries[filePath] = { hash: sha256, base: entry ? entry.base : null, size: file.size, modified: file.modified };
+            changed = true;
+        }
+
+        for (const [filePath, entry] of Object.entries(entries)) {
+            // A file received during the scan is not gone either
+            if (entry.hash !== null && !files.has(filePath) &&
+                !fs.existsSync(path.join(link.record.localPath, ...filePath.split('/')))) {
+                entries[filePath] = { ...entry, hash: null, size: 0 };
+                changed = true;
+            }
+        }
+
+        if (changed) this.saveIndex(link);
+    }
+
+    /**
+     * Carry out what can be done locally. Returns the paths to fetch and
+     * whether the index changed. A file to fetch that is already in the
+     * folder under another name, because it was renamed or copied over
+     * there, is moved or copied here instead.
+     */
+    applyPlan(link, actions) {
+        const { entries } = link.index;
+        const root = link.record.localPath;
+        const toLocal = (filePath) => path.join(root, ...filePath.split('/'));
+        const fetches = [];
+
+        // Deleted files that reappear under another name were renamed
+        const deletedByHash = new Map();
+        actions.filter(item => item.action === 'delete')
+            .forEach(item => deletedByHash.set(entries[item.path].hash, item.path));
+        const moved = new Set();
+
+        const filesByHash = new Map();
+        Object.keys(entries).forEach(filePath => filesByHash.set(entries[filePath].hash, filePath));
+        const findCopy = (hash) => {
+            const filePath = hash !== null && filesByHash.get(hash);
+            return filePath && entries[filePath] && entries[filePath].hash === hash && fs.existsSync(toLocal(filePath))
+                ? filePath
+                : null;
+        };
+
+        const record = (filePath) => {
+            const stats = fs.statSync(toLocal(filePath));
+            entries[filePath] = { hash: null, base: null, size: stats.size, modified: stats.mtimeMs };
+            return entries[filePath];
+        };
+
+        // Deletes go last so renamed files can still be moved to their new names
+        const ordered = [
+            ...actions.filter(item => item.action !== 'delete'),
+            ...actions.filter(item => item.action === 'delete')
+        ];
+
+        for (const item of ordered) {
+            const target = toLocal(item.path);
+            try {
+                if (item.action === 'agree') {
+                    if (entries[item.path].hash === null) {
+                        delete entries[item.path];
+                    } else {
+                        entries[item.path].base = entries[item.path].hash;
+                    }
+                } else if (item.action === 'fetch') {
+                    if (link.fetching.has(item.path)) continue;
+
+                    const renamedFrom = deletedByHash.get(item.hash);
+                    const copyFrom = renamedFrom || findCopy(item.hash);
+                    if (!copyFrom) {
+                        fetches.push(item.path);
+                        continue;
+                    }
+
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    if (renamedFrom) {
+                        fs.renameSync(toLocal(renamedFrom), target);
+                        delete entries[renamedFrom];
+                        deletedByHash.delete(item.hash);
+                        moved.add(renamedFrom);
+                        this.addActivity(link, 'renamed', item.path, renamedFrom);
+                    } else {
+                        fs.copyFileSync(toLocal(copyFrom), target);
+                        this.addActivity(link, 'received', item.path);
+                    }
+                    Object.assign(record(item.path), { hash: item.hash, base: item.hash });
+                } else if (item.action === 'delete') {
+                    if (moved.has(item.path)) continue;
+                    const entry = entries[item.path];
+                    if (!fs.existsSync(target)) {
+                        delete entries[item.path];
+                        continue;
+                    }
+                    const stats = fs.statSync(target);
+                    // Changed since the scan: leave it for the next round
+                    if (stats.size !== entry.size || stats.mtimeMs !== entry.modified) continue;
+
+                    fs.unlinkSync(target);
+                    removeEmptyFolders(root, target);
+                    delete entries[item.path];
+                    this.addActivity(link, 'deleted', item.path);
+                } else if (item.action === 'conflict') {
+                    // Keep this side's copy under another name; the other side's takes the name
+                    const entry = entries[item.path];
+                    const keptPath = conflictPath(target, this.discovery.myDeviceName);
+                    fs.renameSync(target, keptPath);
+                    const keptName = path.relative(root, keptPath).split(path.sep).join('/');
+                    Object.assign(record(keptName), { hash: entry.hash });
+                    entries[item.path] = { ...entry, hash: null, size: 0 };
+                    this.addActivity(link, 'conflict', item.path, keptName);
+
+                    if (!link.fetching.has(item.path)) fetches.push(item.path);
+                }
+            } catch (err) {
+                console.error(`Could not sync "${item.path}":`, err);
+            }
+        }
+
+        const changed = actions.length > fetches.length;
+        return { changed, fetches };
+    }
+
+    describeIndex(link) {
+        return {
+            syncId: link.record.syncId,
+            name: link.record.name,
+            email: this.fileTransfer.myEmail,
+            deviceName: this.discovery.myDeviceName,
+            version: link.index.version,
+            entries: link.index.entries
+        };
+    }
+
+    /**
+     * Check the entries of the other side's index; anything malformed is left out
+     */
+    parseEntries(entries) {
+        const parsed = {};
+        if (!entries || typeof entries !== 'object') return parsed;
+
+        for (const [filePath, entry] of Object.entries(entries)) {
+            try {
+                if (sanitizeRelativePath(filePath) !== filePath) continue;
+            } catch (err) {
+                continue;
+            }
+            if (!entry || !isSha256OrNull(entry.hash) || !isSha256OrNull(entry.base)) continue;
+            parsed[filePath] = {
+                hash: entry.hash,
+                base: entry.base,
+                size: Number(entry.size) || 0,
+                modified: Number(entry.modified) || 0
+            };
+        }
+        return parsed;
+    }
+
+    // ==================== REQUESTS FROM THE OTHER DEVICE ====================
+
+    /**
+     * Answer a SYNC_INDEX or SYNC_FETCH request (FileTransfer's handleSyncRequest)
+     */
+    handleRequest(type, message, peer) {
+        const syncId = String(message.syncId);
+        if (!this.isPairedDevice(peer.deviceId, peer.fingerprint, message.email)) {
+            throw createSyncError('Only paired devices can sync folders', 'not-paired');
+        }
+
+        const link = this.links.get(syncId);
+        if (!link || link.record.deviceId !== peer.deviceId) {
+            if (type === FRAME.SYNC_INDEX) this.receiveInvite(syncId, message, peer);
+            throw createSyncError('The folder is not linked on the other device yet', 'sync-not-linked');
+        }
+
+        if (type === FRAME.SYNC_FETCH) {
+            this.sendFiles(link, Array.isArray(message.paths) ? message.paths : []);
+            return { syncId };
+        }
+
+        // The other side changed something since this side last looked: catch up as well
+        if (message.version !== link.peerVersion) {
+            this.scheduleSync(link, WATCH_DELAY);
+        }
+        return { syncId, version: link.index.version, entries: link.index.entries };
+    }
+
+    /**
+     * A paired device wants to sync a folder this device has no link for yet
+     */
+    receiveInvite(syncId, message, peer) {
+        if (!/^[0-9a-f]{32}$/.test(syncId) || this.dismissedInvites.has(syncId) || this.invites.has(syncId)) return;
+
+        const invite = {
+            syncId,
+            name: sanitizeFileName(message.name),
+            deviceId: peer.deviceId,
+            deviceName: String(message.deviceName || ''),
+            email: String(message.email || ''),
+            receivedAt: Date.now()
+        };
+        this.invites.set(syncId, invite);
+        this.emit('invite', invite);
+        this.emit('statusChanged');
+    }
+
+    /**
+     * Send the other device the files it asked for, as one transfer
+     */
+    sendFiles(link, paths) {
+        const { record } = link;
+        const device = this.discovery.findDeviceById(record.deviceId);
+        const files = paths
+            .filter(filePath => typeof filePath === 'string' && link.index.entries[filePath] &&
+                link.index.entries[filePath].hash !== null)
+            .map(filePath => path.join(record.localPath, ...filePath.split('/')))
+            .filter(absolutePath => fs.existsSync(absolutePath));
+        if (!device || files.length === 0) return;
+
+        this.fileTransfer.sendFiles(device.ip, files, this.fileTransfer.myEmail, {
+            deviceId: device.deviceId,
+            sync: record.syncId,
+            baseDir: record.localPath
+        }).catch((err) => {
+            this.setState(link, 'error', `Could not send files to ${record.deviceName}: ${err.message}`);
+        });
+    }
+
+    // ==================== INCOMING FILES ====================
+
+    /**
+     * Whether to accept an incoming transfer for a linked folder: only
+     * from its device, and only files this side asked for
+     */
+    acceptsTransfer(request) {
+        const link = this.links.get(request.sync);
+        if (!link || link.record.deviceId !== request.deviceId) return false;
+
+        const now = Date.now();
+        for (const [filePath, fetch] of link.fetching) {
+            if (!fetch.transferId && now - fetch.requestedAt > FETCH_TIMEOUT) link.fetching.delete(filePath);
+        }
+        if (!request.files.every(file => link.fetching.has(file.relativePath))) return false;
+
+        request.files.forEach(file => { link.fetching.get(file.relativePath).transferId = request.transferId; });
+        this.incoming.set(request.transferId, link);
+        this.emit('statusChanged');
+        return true;
+    }
+
+    /**
+     * A fetched file is in place: both sides now agree on it
+     */
+    recordReceivedFile(data) {
+        const link = this.incoming.get(data.transferId);
+        if (!link) return;
+
+        try {
+            const stats = fs.statSync(data.filePath);
+            link.index.entries[data.fileName] = { hash: data.sha256, base: data.sha256, size: stats.size, modified: stats.mtimeMs };
+            this.saveIndex(link);
+        } catch (err) {
+            // Already moved away; the next scan records that
+        }
+        link.fetching.delete(data.fileName);
+        this.addActivity(link, 'received', data.fileName);
+        this.emit('statusChanged');
+    }
+
+    recordTransferEnded(data) {
+        if (!data.sync) return;
+        const link = this.links.get(data.sync);
+        if (!link) return;
+
+        if (data.direction === 'send') {
+            if (data.outcome === 'completed') {
+                const files = data.files.map(file => file.relativePath);
+                this.addActivity(link, 'sent', files.length === 1 ? files[0] : `${files.length} files`);
+            }
+        } else {
+            // Files that did not make it are asked for again on the next round
+            this.incoming.delete(data.transferId);
+            for (const [filePath, fetch] of link.fetching) {
+                if (fetch.transferId === data.transferId) link.fetching.delete(filePath);
+            }
+            if (data.outcome !== 'completed') {
+                this.addActivity(link, 'failed', data.fileName, data.error || data.outcome);
+                this.scheduleSync(link, WATCH_DELAY);
+            }
+        }
+        this.emit('statusChanged');
+    }
+}
+
+module.exports = FolderSync;
+module.exports.planSync = planSync;
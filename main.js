@@ -3,31 +3,83 @@
  * Handles app lifecycle, window management, and IPC
  */
 
-const { app, BrowserWindow, ipcMain, dialog, Notification, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Notification, shell, clipboard } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const net = require('net');
 const store = require('./store');
 const DeviceDiscovery = require('./discovery');
 const FileTransfer = require('./fileTransfer');
+const FolderSync = require('./folderSync');
+const AutomationApi = require('./automationApi');
+const WebShare = require('./webShare');
+const AuthManager = require('./auth');
+const { EmailCodeProvider, TotpProvider, TestCodeProvider } = require('./auth');
+const SmtpTransport = require('./smtp');
+const QRCode = require('qrcode');
+const { apiError } = require('./automationApi');
+const { DECISION, decideTransfer, isPairedDevice } = require('./transferPolicy');
+const routingRules = require('./routingRules');
+const transferHistory = require('./transferHistory');
 const { createTray, destroyTray } = require('./tray');
 
 // Prevent garbage collection
 let mainWindow = null;
 let discovery = null;
 let fileTransfer = null;
+let folderSync = null;
+let automationApi = null;
+let webShare = null;
 let tray = null;
 
+// Outgoing pairings the other device accepted, waiting for local confirmation
+const pendingPairings = new Map(); // deviceId -> paired device record
+
+// Text snippets received since startup that the user has not dismissed, newest first
+let receivedTexts = [];
+const MAX_RECEIVED_TEXTS = 20;
+
 // Quitting flag
 global.isQuitting = false;
 
-// ==================== HARDCODED TEST CREDENTIALS ====================
-const VALID_OTP = '123456';
-const VALID_EMAIL_DOMAIN = '@fileway.local';
+// ==================== SIGN-IN ====================
+
+// The fixed test code only exists when asked for: --dev-auth or FILEWAY_DEV_AUTH=1
+const DEV_AUTH = process.argv.includes('--dev-auth') || process.env.FILEWAY_DEV_AUTH === '1';
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+
+let authManager = null;
+let sessionTimer = null;
+
+function createEmailProvider() {
+    const { smtp } = store.getAuthSettings();
+    return new EmailCodeProvider({ transport: new SmtpTransport(smtp), from: smtp.from });
+}
+
+function createAuthManager() {
+    const providers = {
+        email: createEmailProvider(),
+        totp: new TotpProvider({
+            secretStore: { get: store.getTotpSecret, set: store.saveTotpSecret }
+        })
+    };
+    if (DEV_AUTH) {
+        providers.test = new TestCodeProvider();
+    }
+    return new AuthManager({ providers, sessionDays: store.getAuthSettings().sessionDays });
+}
+
+/**
+ * Sign out once the session has run out
+ */
+function checkSession() {
+    if (!store.isLoggedIn() || authManager.isSessionValid(store.getSession())) return;
 
-function isValidTestCredentials(email, otp) {
-    // Accept any email ending with @fileway.local
-    const isValidEmail = email.toLowerCase().endsWith(VALID_EMAIL_DOMAIN);
-    const isValidOtp = otp === VALID_OTP;
-    return isValidEmail && isValidOtp;
+    stopServices();
+    store.logout();
+    if (mainWindow) {
+        mainWindow.loadFile(path.join(__dirname, 'renderer', 'login.html'));
+    }
 }
 
 // ==================== WINDOW CREATION ====================
@@ -83,6 +135,13 @@ app.whenReady().then(() => {
     // Initialize device ID
     store.initializeDevice();
 
+    // Sessions from before the last run may have run out
+    authManager = createAuthManager();
+    if (store.isLoggedIn() && !authManager.isSessionValid(store.getSession())) {
+        store.logout();
+    }
+    sessionTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+
     // Create main window
     createWindow();
 
@@ -106,6 +165,7 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
     global.isQuitting = true;
+    clearInterval(sessionTimer);
     stopServices();
     destroyTray();
 });
@@ -114,11 +174,15 @@ app.on('before-quit', () => {
 
 function startServices(email) {
     // Start discovery
-    discovery = new DeviceDiscovery();
+    discovery = new DeviceDiscovery({
+        identity: store.getDeviceIdentity(),
+        keyStore: { get: store.getPinnedKey }
+    });
     discovery.start(
         store.getDeviceId(),
         store.getDeviceName(),
-        email
+        email,
+        { savedHosts: Object.keys(store.getSavedDevices()) }
     );
 
     discovery.on('devicesUpdated', (devices) => {
@@ -127,11 +191,125 @@ function startServices(email) {
         }
     });
 
+    // Someone announcing itself as a known device with another key
+    discovery.on('presenceRejected', (info) => {
+        if (info.reason === 'key-changed' || info.reason === 'bad-signature') {
+            console.warn(`Ignored a presence announcement for device ${info.deviceId} from ${info.address}: ${info.reason}`);
+        }
+    });
+
+    discovery.on('savedDevicesUpdated', (status) => {
+        // Remember who answers at each address, and when it was last seen
+        const savedDevices = store.getSavedDevices();
+        status.filter(item => item.online && savedDevices[item.host]).forEach((item) => {
+            const device = discovery.findDeviceById(item.deviceId);
+            store.saveDevice(item.host, {
+                lastSeen: item.lastReply,
+                ...(device ? { deviceId: device.deviceId, deviceName: device.deviceName, email: device.email } : {})
+            });
+        });
+
+        if (mainWindow) {
+            mainWindow.webContents.send('saved-devices:updated', savedDeviceList());
+        }
+    });
+
     // Start file transfer server
-    fileTransfer = new FileTransfer();
+    fileTransfer = new FileTransfer({
+        identity: store.getDeviceIdentity(),
+        keyStore: {
+            get: store.getPinnedKey,
+            set: store.pinKey
+        },
+        receivePath: store.getSettings().downloadLocation,
+        maxActiveReceives: store.getSettings().maxConcurrentReceives,
+        resolveDestination: (file, sender) => {
+            const settings = store.getSettings();
+            // Files for a synced folder go straight into it
+            const syncFolder = sender.sync && folderSync ? folderSync.getLocalPath(sender.sync, sender.deviceId) : null;
+            return syncFolder || routingRules.resolveDestination(settings.routingRules, file, sender, settings.downloadLocation);
+        },
+        handleSyncRequest: (type, message, peer) => folderSync.handleRequest(type, message, peer),
+        acceptText: (sender) => !store.getBlockedDevices()[sender.deviceId]
+    });
     fileTransfer.startServer(email);
 
+    // Keep linked folders in sync with paired devices
+    folderSync = new FolderSync({
+        fileTransfer,
+        discovery,
+        indexDir: path.join(app.getPath('userData'), 'sync'),
+        linkStore: {
+            getAll: store.getSyncFolders,
+            save: store.saveSyncFolder,
+            remove: store.removeSyncFolder
+        },
+        isPairedDevice: (deviceId, fingerprint, senderEmail) => !store.getBlockedDevices()[deviceId] &&
+            isPairedDevice({ deviceId, fingerprint, senderEmail }, store.getPairedDevices())
+    });
+    folderSync.start();
+
+    folderSync.on('statusChanged', () => {
+        if (mainWindow) {
+            mainWindow.webContents.send('sync:status-updated', folderSync.getStatus());
+        }
+    });
+
+    folderSync.on('invite', (invite) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('sync:invite', invite);
+        }
+
+        if (Notification.isSupported()) {
+            new Notification({
+                title: 'Fileway - Sync Request',
+                body: `"${invite.deviceName}" wants to keep the folder "${invite.name}" in sync with this device`,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            }).show();
+        }
+    });
+
     fileTransfer.on('transferRequest', (data) => {
+        // Files a synced folder asked for; only what it asked for is accepted
+        if (data.sync) {
+            if (folderSync.acceptsTransfer(data)) {
+                fileTransfer.acceptTransfer(data.transferId, { collision: 'overwrite' });
+            } else {
+                fileTransfer.rejectTransfer(data.transferId);
+            }
+            return;
+        }
+
+        const settings = store.getSettings();
+        const { decision, reason } = decideTransfer(data, {
+            autoAccept: settings.autoAccept,
+            pairedDevices: store.getPairedDevices(),
+            blockedDevices: store.getBlockedDevices(),
+            collisionStrategy: settings.collisionStrategy
+        });
+
+        if (decision === DECISION.REJECT) {
+            fileTransfer.rejectTransfer(data.transferId);
+            return;
+        }
+
+        if (decision === DECISION.ACCEPT) {
+            fileTransfer.acceptTransfer(data.transferId, { collision: collisionFor(settings) });
+
+            if (mainWindow) {
+                mainWindow.webContents.send('transfer:auto-accepted', { ...data, reason });
+            }
+
+            if (Notification.isSupported()) {
+                new Notification({
+                    title: 'Fileway - Receiving File',
+                    body: `Receiving "${data.fileName}" from ${data.senderEmail}`,
+                    icon: path.join(__dirname, 'assets', 'icon.png')
+                }).show();
+            }
+            return;
+        }
+
         if (mainWindow) {
             mainWindow.webContents.send('transfer:request', data);
             mainWindow.show();
@@ -140,9 +318,11 @@ function startServices(email) {
 
         // Show Windows notification
         if (Notification.isSupported()) {
+            const waiting = fileTransfer.getInboundQueue().filter(item => item.state === 'pending').length;
             const notification = new Notification({
                 title: 'Fileway - Incoming File',
-                body: `${data.senderEmail} wants to send you "${data.fileName}"`,
+                body: `${data.senderEmail} wants to send you "${data.fileName}"` +
+                    (waiting > 1 ? ` (${waiting} requests waiting)` : ''),
                 icon: path.join(__dirname, 'assets', 'icon.png')
             });
 
@@ -155,13 +335,119 @@ function startServices(email) {
         }
     });
 
-    fileTransfer.on('transferProgress', (data) => {
+    fileTransfer.on('pairRequest', (data) => {
+        // Pairing means "this is another device on my account"
+        if (data.email !== store.getEmail() || store.getBlockedDevices()[data.deviceId]) {
+            fileTransfer.respondToPairing(data.requestId, false);
+            return;
+        }
+
+        if (mainWindow) {
+            mainWindow.webContents.send('pairing:request', data);
+            mainWindow.show();
+            mainWindow.focus();
+        }
+
+        if (Notification.isSupported()) {
+            new Notification({
+                title: 'Fileway - Pairing Request',
+                body: `"${data.deviceName}" wants to pair with this device`,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            }).show();
+        }
+    });
+
+    fileTransfer.on('textReceived', (data) => {
+        const snippet = { ...data, deviceName: describePeer(data.deviceId).deviceName || null };
+        receivedTexts = [snippet, ...receivedTexts].slice(0, MAX_RECEIVED_TEXTS);
+
+        if (mainWindow) {
+            mainWindow.webContents.send('text:received', snippet);
+        }
+
+        if (Notification.isSupported()) {
+            const notification = new Notification({
+                title: `Fileway - Text from ${snippet.deviceName || snippet.senderEmail}`,
+                body: snippet.text.length > 200 ? `${snippet.text.slice(0, 200)}…` : snippet.text,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            });
+
+            // The home page lists the snippet with a copy button
+            notification.on('click', () => {
+                if (!mainWindow) return;
+                mainWindow.loadFile(path.join(__dirname, 'renderer', 'home.html'));
+                mainWindow.show();
+                mainWindow.focus();
+            });
+
+            notification.show();
+        }
+    });
+
+    fileTransfer.on('peerVerified', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:peer-verified', data);
+        }
+    });
+
+    fileTransfer.on('peerKeyChanged', (data) => {
+        const device = discovery ? discovery.findDeviceById(data.deviceId) : null;
+        const name = device ? `${device.deviceName} (${device.email})` : `Device ${data.deviceId}`;
+
+        if (mainWindow) {
+            mainWindow.webContents.send('security:key-changed', { ...data, name });
+        }
+
+        if (Notification.isSupported()) {
+            new Notification({
+                title: 'Fileway - Security Warning',
+                body: `${name} presented a different security key than before. ` +
+                    `The connection was refused. If the device was reinstalled, reset its key in Settings > Devices.`,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            }).show();
+        }
+    });
+
+    fileTransfer.on('queueChanged', () => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:queue-updated', inboundQueue());
+        }
+    });
+
+    fileTransfer.on('sendQueued', (data) => {
         if (mainWindow) {
+            mainWindow.webContents.send('transfer:send-queued', data);
+        }
+    });
+
+    fileTransfer.on('transferResumed', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:resumed', data);
+        }
+    });
+
+    fileTransfer.on('transferInterrupted', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:interrupted', data);
+        }
+    });
+
+    fileTransfer.on('transferRetrying', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:retrying', data);
+        }
+    });
+
+    fileTransfer.on('transferProgress', (data) => {
+        // Synced folders show their own status
+        if (mainWindow && !data.sync) {
             mainWindow.webContents.send('transfer:progress', data);
         }
     });
 
     fileTransfer.on('transferComplete', (data) => {
+        if (data.sync) return;
+
         if (mainWindow) {
             mainWindow.webContents.send('transfer:complete', data);
         }
@@ -175,6 +461,48 @@ function startServices(email) {
         }
     });
 
+    fileTransfer.on('transferCorrupted', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:corrupted', data);
+        }
+
+        if (Notification.isSupported()) {
+            new Notification({
+                title: 'Fileway - Transfer Failed Verification',
+                body: `"${data.fileName}" was corrupted in transit and has been discarded.`,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            }).show();
+        }
+    });
+
+    fileTransfer.on('transferFailed', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:failed', data);
+        }
+    });
+
+    fileTransfer.on('transferCancelled', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:cancelled', data);
+        }
+
+        // Only worth a notification when the other device cancelled
+        const byOtherSide = data.direction === 'send' ? data.cancelledBy === 'receiver' : data.cancelledBy === 'sender';
+        if (byOtherSide && Notification.isSupported()) {
+            new Notification({
+                title: 'Fileway - Transfer Cancelled',
+                body: `"${data.fileName}" was cancelled by the ${data.cancelledBy}${data.reason ? ': ' + data.reason : ''}.`,
+                icon: path.join(__dirname, 'assets', 'icon.png')
+            }).show();
+        }
+    });
+
+    fileTransfer.on('transferPauseChanged', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:pause-changed', data);
+        }
+    });
+
     fileTransfer.on('transferAccepted', (data) => {
         if (mainWindow) {
             mainWindow.webContents.send('transfer:accepted', data);
@@ -195,18 +523,55 @@ function startServices(email) {
         }
     });
 
+    fileTransfer.on('fileComplete', (data) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer:file-complete', data);
+        }
+    });
+
     fileTransfer.on('sendComplete', (data) => {
-        if (Notification.isSupported()) {
+        if (!data.sync && Notification.isSupported()) {
             new Notification({
                 title: 'Fileway - File Sent',
-                body: `File has been sent successfully!`,
+                body: data.fileCount > 1
+                    ? `${data.fileCount} files have been sent successfully!`
+                    : `File has been sent successfully!`,
                 icon: path.join(__dirname, 'assets', 'icon.png')
             }).show();
         }
     });
+
+    fileTransfer.on('transferEnded', (data) => {
+        // Synced folders keep their own activity list
+        if (data.sync) return;
+
+        store.addHistoryEntry(transferHistory.createHistoryEntry(data, describePeer(data.peer.deviceId)));
+        if (mainWindow) {
+            mainWindow.webContents.send('history:updated');
+        }
+    });
+
+    // Scripts on the automation API's event stream see what the window sees
+    discovery.on('devicesUpdated', (devices) => publishApiEvent('devicesUpdated', devices));
+    ['transferRequest', 'transferProgress', 'transferComplete', 'transferEnded'].forEach((event) => {
+        fileTransfer.on(event, (data) => {
+            if (!data.sync) publishApiEvent(event, data);
+        });
+    });
+
+    if (store.getSettings().automationApi) {
+        // Already logged; the settings page shows it as not running
+        startAutomationApi().catch(() => {});
+    }
 }
 
 function stopServices() {
+    stopAutomationApi();
+    stopWebShare();
+    if (folderSync) {
+        folderSync.stop();
+        folderSync = null;
+    }
     if (discovery) {
         discovery.stop();
         discovery = null;
@@ -215,23 +580,273 @@ function stopServices() {
         fileTransfer.stopServer();
         fileTransfer = null;
     }
+    receivedTexts = [];
+}
+
+// ==================== AUTOMATION API ====================
+
+function startAutomationApi() {
+    if (automationApi) return Promise.resolve();
+
+    automationApi = new AutomationApi({
+        token: store.getApiToken(),
+        handlers: automationHandlers()
+    });
+    return automationApi.start().catch((err) => {
+        console.error('Could not start the automation API:', err.message);
+        automationApi = null;
+        throw err;
+    });
+}
+
+function stopAutomationApi() {
+    if (automationApi) {
+        automationApi.stop();
+        automationApi = null;
+    }
+}
+
+function publishApiEvent(event, data) {
+    if (automationApi) {
+        automationApi.publish(event, data);
+    }
+}
+
+/**
+ * What the automation API's routes do; the same things the windows do through IPC
+ */
+function automationHandlers() {
+    const services = () => {
+        if (!discovery || !fileTransfer) throw apiError(503, 'Services not running');
+    };
+
+    return {
+        listDevices: () => {
+            services();
+            return discovery.getDeviceList();
+        },
+        listTransfers: () => {
+            services();
+            return {
+                incoming: inboundQueue(),
+                outgoing: fileTransfer.getOutgoingTransfers().filter(transfer => !transfer.sync)
+            };
+        },
+        sendFiles: async ({ deviceId, paths, streams, compress }) => {
+            services();
+            const device = discovery.findDeviceById(deviceId);
+            if (!device) throw apiError(404, 'Device not found');
+
+            // The session is set up before sendFiles first waits, so its ID is known
+            // right away; the caller follows it on the event stream or in the history
+            const settings = store.getSettings();
+            let started = null;
+            const onStarted = (data) => { started = started || data; };
+            fileTransfer.on('sendStarted', onStarted);
+            const sending = fileTransfer.sendFiles(device.ip, paths, store.getEmail(), {
+                deviceId: device.deviceId,
+                streams: streams || settings.parallelConnections,
+                compress: compress !== undefined ? compress : settings.compressTransfers !== false
+            });
+            fileTransfer.removeListener('sendStarted', onStarted);
+
+            if (!started) {
+                await sending.catch((err) => { throw apiError(400, err.message); });
+            }
+            sending.catch(() => {}); // failures end up in transferEnded and the history
+            return {
+                transferId: started.transferId,
+                fileName: started.fileName,
+                fileCount: started.fileCount,
+                totalSize: started.totalSize
+            };
+        },
+        acceptTransfer: (transferId, options) => {
+            services();
+            return fileTransfer.acceptTransfer(transferId, {
+                collision: options.collision || collisionFor(store.getSettings())
+            });
+        },
+        rejectTransfer: (transferId) => {
+            services();
+            return fileTransfer.rejectTransfer(transferId);
+        },
+        cancelTransfer: (transferId) => {
+            services();
+            return fileTransfer.cancelTransfer(transferId);
+        },
+        getHistory: (filters) => {
+            const history = store.getHistory();
+            return {
+                entries: transferHistory.filterHistory(history, filters).slice(0, filters.limit),
+                summary: transferHistory.summarizeHistory(history)
+            };
+        }
+    };
+}
+
+function apiStatus() {
+    return {
+        enabled: store.getSettings().automationApi === true,
+        running: automationApi !== null,
+        url: `http://127.0.0.1:${AutomationApi.API_PORT}/v1`,
+        token: store.getApiToken()
+    };
+}
+
+// ==================== WEB SHARE ====================
+
+function stopWebShare() {
+    if (webShare) {
+        webShare.stop();
+        webShare = null;
+    }
+}
+
+/**
+ * Whether the browser page is up, its links (the first also as a QR code) and the shared files
+ */
+async function webShareStatus() {
+    const urls = webShare ? webShare.getUrls() : [];
+    return {
+        running: webShare !== null,
+        urls,
+        qrCode: urls.length > 0 ? await QRCode.toDataURL(urls[0], { margin: 1, width: 220 }) : null,
+        shares: webShare ? webShare.getShares() : []
+    };
+}
+
+/**
+ * Incoming requests and transfers, apart from those of synced folders
+ */
+function inboundQueue() {
+    return fileTransfer.getInboundQueue().filter(item => !item.sync);
+}
+
+/**
+ * What to do with existing files when nobody was asked: 'ask' falls back to keeping both
+ */
+function collisionFor(settings) {
+    return settings.collisionStrategy === 'overwrite' ? 'overwrite' : 'rename';
+}
+
+/**
+ * Name and email of another device, from discovery or the paired devices
+ */
+function describePeer(deviceId) {
+    const device = (discovery && deviceId && discovery.findDeviceById(deviceId)) ||
+        (deviceId && store.getPairedDevices()[deviceId]);
+    return device ? { email: device.email, deviceName: device.deviceName } : {};
+}
+
+/**
+ * A file (or the main path) of a history entry, if it is still on disk
+ */
+function historyPath(entryId, fileIndex) {
+    const entry = store.getHistoryEntry(entryId);
+    if (!entry) return null;
+
+    const file = Number.isInteger(fileIndex) ? entry.files[fileIndex] : null;
+    const target = file ? file.path : entry.localPath;
+    return target && fs.existsSync(target) ? target : null;
+}
+
+/**
+ * Summarize selected paths for the send page (name, size, file count)
+ */
+function describeSelection(paths) {
+    return paths.map(selectedPath => {
+        const files = FileTransfer.buildManifest([selectedPath]);
+        return {
+            path: selectedPath,
+            name: path.basename(selectedPath),
+            isDirectory: fs.statSync(selectedPath).isDirectory(),
+            fileCount: files.length,
+            size: files.reduce((sum, file) => sum + file.size, 0)
+        };
+    });
 }
 
 // ==================== IPC HANDLERS: AUTH ====================
 
+ipcMain.handle('auth:get-options', async () => {
+    const { method, smtp } = store.getAuthSettings();
+    const methods = authManager.getMethods();
+    return {
+        methods,
+        method: methods.some(item => item.id === method) ? method : methods[0].id,
+        devMode: DEV_AUTH,
+        smtp: {
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            username: smtp.username,
+            from: smtp.from,
+            hasPassword: Boolean(smtp.password)
+        }
+    };
+});
+
+ipcMain.handle('auth:set-mail-server', async (event, smtp) => {
+    const auth = store.getAuthSettings();
+    const port = parseInt(smtp.port, 10);
+    if (!String(smtp.host || '').trim()) {
+        return { success: false, error: 'Enter the mail server' };
+    }
+    if (!(port >= 1 && port <= 65535)) {
+        return { success: false, error: 'Enter a port between 1 and 65535' };
+    }
+
+    const username = String(smtp.username || '').trim();
+    store.setSetting('auth', {
+        ...auth,
+        smtp: {
+            host: String(smtp.host).trim(),
+            port,
+            secure: Boolean(smtp.secure),
+            username,
+            // An empty password field keeps the saved one
+            password: username ? (smtp.password || auth.smtp.password) : '',
+            from: String(smtp.from || '').trim() || auth.smtp.from
+        }
+    });
+    authManager.setProvider('email', createEmailProvider());
+    return { success: true };
+});
+
+ipcMain.handle('auth:request-code', async (event, email, method) => {
+    try {
+        const result = await authManager.requestCode(email, method);
+        store.setSetting('auth', { ...store.getAuthSettings(), method });
+
+        // First sign-in with an authenticator app: show the secret as a QR code too
+        if (result.setup) {
+            result.setup.qrCode = await QRCode.toDataURL(result.setup.uri).catch(() => null);
+        }
+        return { success: true, ...result };
+    } catch (err) {
+        return { success: false, error: err.message, retryAfter: err.retryAfter || null };
+    }
+});
+
 ipcMain.handle('auth:verify-otp', async (event, email, otp) => {
-    if (isValidTestCredentials(email, otp)) {
-        store.setEmail(email);
-        
-        // Check if name already exists for this email
-        const hasName = store.hasNameForEmail(email);
-        
-        // Start services
-        startServices(email);
-        
-        return { success: true, hasName };
+    let session;
+    try {
+        session = await authManager.verify(email, otp);
+    } catch (err) {
+        return { success: false, error: err.message };
     }
-    return { success: false, error: 'Invalid OTP' };
+
+    store.setEmail(session.email);
+    store.setSession(session);
+
+    // Check if name already exists for this email
+    const hasName = store.hasNameForEmail(session.email);
+
+    // Start services
+    startServices(session.email);
+
+    return { success: true, hasName };
 });
 
 ipcMain.handle('auth:save-name', async (event, firstName, lastName) => {
@@ -283,21 +898,92 @@ ipcMain.handle('discovery:find-by-email', async (event, email) => {
     return null;
 });
 
+// ==================== IPC HANDLERS: SAVED DEVICES ====================
+
+/**
+ * Devices saved by address, with whether they answered recently
+ */
+function savedDeviceList() {
+    const status = new Map((discovery ? discovery.getSavedHostStatus() : []).map(item => [item.host, item]));
+    return Object.values(store.getSavedDevices()).map((saved) => {
+        const current = status.get(saved.host);
+        return {
+            ...saved,
+            online: Boolean(current && current.online),
+            lastSeen: (current && current.lastReply) || saved.lastSeen || null
+        };
+    });
+}
+
+ipcMain.handle('saved-devices:get', async () => {
+    return savedDeviceList();
+});
+
+ipcMain.handle('saved-devices:add', async (event, host) => {
+    if (!discovery) {
+        return { success: false, error: 'Services not running' };
+    }
+
+    // IPv6 literals keep their zone as typed (fe80::1%eth0)
+    const typed = String(host || '').trim();
+    const address = net.isIPv6(typed) ? typed : typed.toLowerCase();
+    if (!/^[a-z0-9.-]+$/.test(address) && !net.isIPv6(address)) {
+        return { success: false, error: 'Enter an IP address or a host name' };
+    }
+    if (store.getSavedDevices()[address]) {
+        return { success: false, error: `${address} is already saved` };
+    }
+
+    try {
+        const device = await discovery.probeHost(address);
+        store.saveDevice(address, {
+            deviceId: device.deviceId,
+            deviceName: device.deviceName,
+            email: device.email,
+            lastSeen: Date.now()
+        });
+        discovery.setSavedHosts(Object.keys(store.getSavedDevices()));
+        return { success: true, devices: savedDeviceList() };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
+ipcMain.handle('saved-devices:remove', async (event, host) => {
+    store.removeSavedDevice(host);
+    if (discovery) {
+        discovery.setSavedHosts(Object.keys(store.getSavedDevices()));
+    }
+    return savedDeviceList();
+});
+
 // ==================== IPC HANDLERS: FILE TRANSFER ====================
 
 ipcMain.handle('transfer:select-file', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
-        properties: ['openFile'],
-        title: 'Select File to Send'
+        properties: ['openFile', 'multiSelections'],
+        title: 'Select Files to Send'
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+        return { success: true, items: describeSelection(result.filePaths) };
+    }
+    return { success: false };
+});
+
+ipcMain.handle('transfer:select-folder', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'multiSelections'],
+        title: 'Select Folders to Send'
     });
 
     if (!result.canceled && result.filePaths.length > 0) {
-        return { success: true, filePath: result.filePaths[0] };
+        return { success: true, items: describeSelection(result.filePaths) };
     }
     return { success: false };
 });
 
-ipcMain.handle('transfer:send-file', async (event, deviceId, filePath) => {
+ipcMain.handle('transfer:send-files', async (event, deviceId, filePaths) => {
     if (!discovery || !fileTransfer) {
         return { success: false, error: 'Services not running' };
     }
@@ -308,16 +994,38 @@ ipcMain.handle('transfer:send-file', async (event, deviceId, filePath) => {
     }
 
     try {
-        const result = await fileTransfer.sendFile(device.ip, filePath, store.getEmail());
+        const result = await fileTransfer.sendFiles(device.ip, filePaths, store.getEmail(), {
+            deviceId: device.deviceId,
+            streams: store.getSettings().parallelConnections,
+            compress: store.getSettings().compressTransfers !== false
+        });
         return { success: true, ...result };
     } catch (err) {
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('transfer:accept', async (event, transferId) => {
+ipcMain.handle('transfer:get-queue', async () => {
+    if (fileTransfer) {
+        return inboundQueue();
+    }
+    return [];
+});
+
+ipcMain.handle('transfer:get-outgoing', async () => {
+    if (fileTransfer) {
+        return fileTransfer.getOutgoingTransfers().filter(transfer => !transfer.sync);
+    }
+    return [];
+});
+
+ipcMain.handle('transfer:accept', async (event, transferId, options = {}) => {
     if (fileTransfer) {
-        return fileTransfer.acceptTransfer(transferId);
+        return fileTransfer.acceptTransfer(transferId, {
+            collision: options.collision === 'overwrite' || options.collision === 'rename'
+                ? options.collision
+                : collisionFor(store.getSettings())
+        });
     }
     return false;
 });
@@ -329,9 +1037,23 @@ ipcMain.handle('transfer:reject', async (event, transferId) => {
     return false;
 });
 
-ipcMain.handle('transfer:cancel', async (event, transferId) => {
+ipcMain.handle('transfer:cancel', async (event, transferId, reason) => {
+    if (fileTransfer) {
+        return fileTransfer.cancelTransfer(transferId, typeof reason === 'string' ? reason : null);
+    }
+    return false;
+});
+
+ipcMain.handle('transfer:pause', async (event, transferId) => {
     if (fileTransfer) {
-        return fileTransfer.cancelTransfer(transferId);
+        return fileTransfer.pauseTransfer(transferId);
+    }
+    return false;
+});
+
+ipcMain.handle('transfer:resume', async (event, transferId) => {
+    if (fileTransfer) {
+        return fileTransfer.resumeTransfer(transferId);
     }
     return false;
 });
@@ -345,17 +1067,286 @@ ipcMain.handle('transfer:open-folder', async () => {
     return false;
 });
 
+// ==================== IPC HANDLERS: TEXT ====================
+
+ipcMain.handle('text:send', async (event, deviceId, text) => {
+    if (!discovery || !fileTransfer) {
+        return { success: false, error: 'Services not running' };
+    }
+
+    const device = discovery.findDeviceById(deviceId);
+    if (!device) {
+        return { success: false, error: 'Device not found' };
+    }
+
+    try {
+        const result = await fileTransfer.sendText(device.ip, text, store.getEmail(), { deviceId: device.deviceId });
+        return result.delivered
+            ? { success: true, ...result }
+            : { success: false, error: `${device.deviceName} did not take the text` };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
+ipcMain.handle('text:get-received', async () => {
+    return receivedTexts;
+});
+
+ipcMain.handle('text:dismiss', async (event, transferId) => {
+    receivedTexts = receivedTexts.filter(snippet => snippet.transferId !== transferId);
+    return true;
+});
+
+ipcMain.handle('text:copy', async (event, text) => {
+    clipboard.writeText(String(text));
+    return true;
+});
+
+ipcMain.handle('text:read-clipboard', async () => {
+    return clipboard.readText();
+});
+
+// ==================== IPC HANDLERS: HISTORY ====================
+
+ipcMain.handle('history:get', async (event, filters = {}) => {
+    const history = store.getHistory();
+    return {
+        entries: transferHistory.filterHistory(history, filters),
+        summary: transferHistory.summarizeHistory(history)
+    };
+});
+
+ipcMain.handle('history:open-file', async (event, entryId, fileIndex) => {
+    const target = historyPath(entryId, fileIndex);
+    if (!target) {
+        return { success: false, error: 'The file no longer exists' };
+    }
+
+    const error = await shell.openPath(target);
+    return error ? { success: false, error } : { success: true };
+});
+
+ipcMain.handle('history:show-in-folder', async (event, entryId, fileIndex) => {
+    const target = historyPath(entryId, fileIndex);
+    if (!target) {
+        return { success: false, error: 'The file no longer exists' };
+    }
+
+    shell.showItemInFolder(target);
+    return { success: true };
+});
+
+// Check a sent transfer can be sent again; the send page does the sending,
+// text snippets go straight from the history page
+ipcMain.handle('history:resend', async (event, entryId) => {
+    const entry = store.getHistoryEntry(entryId);
+    if (!entry || entry.direction !== 'send' || !(entry.sourcePaths || entry.text)) {
+        return { success: false, error: 'Only sent transfers can be sent again' };
+    }
+
+    const device = discovery ? discovery.findDeviceById(entry.peer.deviceId) : null;
+    if (!device) {
+        return { success: false, error: `${entry.peer.deviceName || entry.peer.email || 'The device'} is not online` };
+    }
+
+    if (entry.text) {
+        return { success: true, deviceId: device.deviceId, text: entry.text };
+    }
+
+    const paths = entry.sourcePaths.filter(sourcePath => fs.existsSync(sourcePath));
+    if (paths.length === 0) {
+        return { success: false, error: 'The files no longer exist' };
+    }
+
+    return { success: true, deviceId: device.deviceId, items: describeSelection(paths) };
+});
+
+ipcMain.handle('history:delete', async (event, entryId) => {
+    store.removeHistoryEntry(entryId);
+    return { success: true };
+});
+
+ipcMain.handle('history:clear', async () => {
+    store.clearHistory();
+    return { success: true };
+});
+
+// ==================== IPC HANDLERS: SYNC ====================
+
+ipcMain.handle('sync:get-status', async () => {
+    if (folderSync) {
+        return folderSync.getStatus();
+    }
+    return { folders: [], invites: [] };
+});
+
+ipcMain.handle('sync:add-folder', async (event, deviceId) => {
+    if (!folderSync) {
+        return { success: false, error: 'Services not running' };
+    }
+
+    const paired = store.getPairedDevices()[deviceId];
+    if (!paired) {
+        return { success: false, error: 'Only paired devices can sync folders' };
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'createDirectory'],
+        title: 'Select Folder to Sync'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { success: false };
+    }
+
+    const folder = folderSync.addFolder(result.filePaths[0], { deviceId, deviceName: paired.deviceName });
+    return { success: true, folder };
+});
+
+ipcMain.handle('sync:accept-invite', async (event, syncId) => {
+    if (!folderSync) {
+        return { success: false, error: 'Services not running' };
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'createDirectory'],
+        title: 'Select Where to Keep the Synced Folder'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { success: false };
+    }
+
+    const folder = folderSync.acceptInvite(syncId, result.filePaths[0]);
+    return folder ? { success: true, folder } : { success: false, error: 'The request has expired' };
+});
+
+ipcMain.handle('sync:decline-invite', async (event, syncId) => {
+    return { success: Boolean(folderSync && folderSync.declineInvite(syncId)) };
+});
+
+ipcMain.handle('sync:remove-folder', async (event, syncId) => {
+    return { success: Boolean(folderSync && folderSync.removeFolder(syncId)) };
+});
+
+ipcMain.handle('sync:sync-now', async (event, syncId) => {
+    return { success: Boolean(folderSync && folderSync.syncNow(syncId)) };
+});
+
+ipcMain.handle('sync:open-folder', async (event, syncId) => {
+    const record = store.getSyncFolders()[syncId];
+    if (!record || !fs.existsSync(record.localPath)) {
+        return { success: false, error: 'The folder no longer exists' };
+    }
+
+    const error = await shell.openPath(record.localPath);
+    return error ? { success: false, error } : { success: true };
+});
+
+// ==================== IPC HANDLERS: WEB SHARE ====================
+
+ipcMain.handle('share:get-status', async () => {
+    return webShareStatus();
+});
+
+ipcMain.handle('share:start', async () => {
+    if (!fileTransfer) {
+        return { success: false, error: 'Services not running' };
+    }
+    if (!webShare) {
+        const share = new WebShare({ fileTransfer });
+        try {
+            await share.start();
+        } catch (err) {
+            return { success: false, error: `Could not start the web page: ${err.message}` };
+        }
+
+        share.on('sharesChanged', async () => {
+            if (mainWindow && webShare === share) {
+                mainWindow.webContents.send('share:updated', await webShareStatus());
+            }
+        });
+        webShare = share;
+    }
+    return { success: true, ...await webShareStatus() };
+});
+
+ipcMain.handle('share:stop', async () => {
+    stopWebShare();
+    return webShareStatus();
+});
+
+ipcMain.handle('share:add-files', async () => {
+    if (!webShare) {
+        return { success: false, error: 'The web page is not running' };
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile', 'multiSelections'],
+        title: 'Select Files to Share'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { success: false };
+    }
+
+    try {
+        webShare.addShares(result.filePaths);
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+    return { success: true, ...await webShareStatus() };
+});
+
+ipcMain.handle('share:remove-file', async (event, id) => {
+    if (webShare) {
+        webShare.removeShare(id);
+    }
+    return webShareStatus();
+});
+
 // ==================== IPC HANDLERS: SETTINGS ====================
 
 ipcMain.handle('settings:get-all', async () => {
-    return store.getSettings();
+    // The mail server password never goes to a window (see auth:get-options)
+    const auth = store.getAuthSettings();
+    const { password, ...smtp } = auth.smtp;
+    return { ...store.getSettings(), auth: { ...auth, smtp: { ...smtp, hasPassword: Boolean(password) } } };
 });
 
 ipcMain.handle('settings:set', async (event, key, value) => {
+    // Sign-in settings only change through auth:set-mail-server, which checks them
+    if (key === 'auth') {
+        return { success: false, error: 'Sign-in settings cannot be set here' };
+    }
     store.setSetting(key, value);
+    if (key === 'downloadLocation' && fileTransfer) {
+        fileTransfer.setReceivePath(value);
+    }
+    if (key === 'maxConcurrentReceives' && fileTransfer) {
+        fileTransfer.setMaxActiveReceives(Number(value));
+    }
     return { success: true };
 });
 
+ipcMain.handle('settings:set-routing-rules', async (event, rules) => {
+    const normalized = (Array.isArray(rules) ? rules : [])
+        .map(routingRules.normalizeRule)
+        .filter(Boolean);
+    store.setSetting('routingRules', normalized);
+    return { success: true, rules: normalized };
+});
+
+ipcMain.handle('settings:choose-folder', async (event, title) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'createDirectory'],
+        title: title || 'Select Folder'
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+        return { success: true, path: result.filePaths[0] };
+    }
+    return { success: false };
+});
+
 ipcMain.handle('settings:select-folder', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
         properties: ['openDirectory'],
@@ -365,6 +1356,9 @@ ipcMain.handle('settings:select-folder', async () => {
     if (!result.canceled && result.filePaths.length > 0) {
         const folderPath = result.filePaths[0];
         store.setSetting('downloadLocation', folderPath);
+        if (fileTransfer) {
+            fileTransfer.setReceivePath(folderPath);
+        }
         return { success: true, path: folderPath };
     }
     return { success: false };
@@ -389,6 +1383,161 @@ ipcMain.handle('settings:rename-device', async (event, name) => {
     return { success: true };
 });
 
+// ==================== IPC HANDLERS: AUTOMATION ====================
+
+ipcMain.handle('api:get-status', async () => {
+    return apiStatus();
+});
+
+ipcMain.handle('api:set-enabled', async (event, enabled) => {
+    store.setSetting('automationApi', enabled === true);
+    if (!enabled) {
+        stopAutomationApi();
+        return { success: true, ...apiStatus() };
+    }
+
+    // Started with the other services when signed out
+    if (!fileTransfer) {
+        return { success: true, ...apiStatus() };
+    }
+    try {
+        await startAutomationApi();
+        return { success: true, ...apiStatus() };
+    } catch (err) {
+        return { success: false, error: `Could not start the API: ${err.message}`, ...apiStatus() };
+    }
+});
+
+ipcMain.handle('api:regenerate-token', async () => {
+    const token = store.resetApiToken();
+    if (automationApi) {
+        automationApi.setToken(token);
+    }
+    return apiStatus();
+});
+
+// ==================== IPC HANDLERS: SECURITY ====================
+
+ipcMain.handle('security:get-fingerprint', async () => {
+    return store.getDeviceFingerprint();
+});
+
+ipcMain.handle('security:get-pinned-keys', async () => {
+    const pinnedKeys = store.getPinnedKeys();
+    return Object.keys(pinnedKeys).map(deviceId => {
+        const device = discovery ? discovery.findDeviceById(deviceId) : null;
+        return {
+            deviceId,
+            fingerprint: pinnedKeys[deviceId].fingerprint,
+            firstSeen: pinnedKeys[deviceId].firstSeen,
+            deviceName: device ? device.deviceName : null,
+            email: device ? device.email : null
+        };
+    });
+});
+
+ipcMain.handle('security:forget-key', async (event, deviceId) => {
+    store.forgetPinnedKey(deviceId);
+    return { success: true };
+});
+
+// ==================== IPC HANDLERS: DEVICES ====================
+
+ipcMain.handle('devices:get-paired', async () => {
+    const pairedDevices = store.getPairedDevices();
+    return Object.keys(pairedDevices).map(deviceId => ({
+        deviceId,
+        ...pairedDevices[deviceId],
+        online: Boolean(discovery && discovery.findDeviceById(deviceId))
+    }));
+});
+
+ipcMain.handle('devices:pair', async (event, deviceId) => {
+    if (!discovery || !fileTransfer) {
+        return { success: false, error: 'Services not running' };
+    }
+
+    const device = discovery.findDeviceById(deviceId);
+    if (!device) {
+        return { success: false, error: 'Device not found' };
+    }
+    if (device.email !== store.getEmail()) {
+        return { success: false, error: 'Only devices signed in to your account can be paired' };
+    }
+
+    try {
+        const result = await fileTransfer.requestPairing(device.ip, device.deviceId, {
+            email: store.getEmail(),
+            deviceName: store.getDeviceName()
+        });
+        if (!result.paired) {
+            return { success: false, error: 'Pairing was declined on the other device' };
+        }
+
+        // Wait for the local user to confirm the safety code as well
+        pendingPairings.set(device.deviceId, {
+            email: device.email,
+            deviceName: device.deviceName,
+            fingerprint: result.peer.fingerprint
+        });
+        return { success: true, safetyCode: result.peer.safetyCode, deviceName: device.deviceName };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
+ipcMain.handle('devices:confirm-pairing', async (event, deviceId, confirmed) => {
+    const record = pendingPairings.get(deviceId);
+    pendingPairings.delete(deviceId);
+
+    if (!record) {
+        return { success: false, error: 'No pairing is waiting for confirmation' };
+    }
+    if (confirmed) {
+        store.addPairedDevice(deviceId, record);
+    }
+    return { success: true };
+});
+
+ipcMain.handle('devices:respond-pairing', async (event, request, accepted) => {
+    if (!fileTransfer || !fileTransfer.respondToPairing(request.requestId, accepted)) {
+        return { success: false, error: 'Pairing request has expired' };
+    }
+
+    if (accepted) {
+        store.addPairedDevice(request.deviceId, {
+            email: request.email,
+            deviceName: request.deviceName,
+            fingerprint: request.fingerprint
+        });
+    }
+    return { success: true };
+});
+
+ipcMain.handle('devices:unpair', async (event, deviceId) => {
+    store.removePairedDevice(deviceId);
+    return { success: true };
+});
+
+ipcMain.handle('devices:get-blocked', async () => {
+    const blockedDevices = store.getBlockedDevices();
+    return Object.keys(blockedDevices).map(deviceId => ({ deviceId, ...blockedDevices[deviceId] }));
+});
+
+ipcMain.handle('devices:block', async (event, deviceId, info) => {
+    store.blockDevice(deviceId, {
+        email: info && info.email ? String(info.email) : null,
+        deviceName: info && info.deviceName ? String(info.deviceName) : null
+    });
+    store.removePairedDevice(deviceId);
+    return { success: true };
+});
+
+ipcMain.handle('devices:unblock', async (event, deviceId) => {
+    store.unblockDevice(deviceId);
+    return { success: true };
+});
+
 // ==================== IPC HANDLERS: WINDOW ====================
 
 ipcMain.on('window:minimize', () => {
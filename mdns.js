@@ -0,0 +1,376 @@
+/**
+ * mdns.js - Advertise and browse the _fileway._tcp service over multicast DNS
+ * Many managed networks drop broadcast but let mDNS through. Every device
+ * answers queries for the service with a PTR, SRV, TXT and A record, and
+ * queries for it on the same schedule as the broadcast presence packets.
+ * The TXT record carries what a presence packet does: id, name and email.
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+const EventEmitter = require('events');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SERVICE_TYPE = '_fileway._tcp.local';
+const RECORD_TTL = 120; // seconds; 0 says goodbye
+const MAX_TXT_VALUE = 200;
+
+const TYPE = {
+    A: 1,
+    PTR: 12,
+    TXT: 16,
+    SRV: 33,
+    ANY: 255
+};
+const CLASS_IN = 1;
+const CACHE_FLUSH = 0x8000; // the record is unique to this device
+const FLAGS_RESPONSE = 0x8400; // response, authoritative
+
+// ==================== PACKETS ====================
+
+function encodeName(name) {
+    const parts = name.split('.').filter(Boolean).map((label) => {
+        const bytes = Buffer.from(label, 'utf8');
+        if (bytes.length > 63) throw new Error(`DNS label too long: ${label}`);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Read a name at offset, following compression pointers.
+ * Returns { name, end } where end is the offset after the name in place.
+ */
+function decodeName(buffer, offset) {
+    const labels = [];
+    let end = null;
+    let jumps = 0;
+
+    for (;;) {
+        const length = buffer.readUInt8(offset);
+        if (length === 0) {
+            offset++;
+            break;
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (++jumps > 16) throw new Error('DNS name loops');
+            if (end === null) end = offset + 2;
+            offset = buffer.readUInt16BE(offset) & 0x3fff;
+            continue;
+        }
+        if (offset + 1 + length > buffer.length) throw new Error('DNS name overruns packet');
+        labels.push(buffer.toString('utf8', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+
+    return { name: labels.join('.'), end: end === null ? offset : end };
+}
+
+function encodeRecordData(record) {
+    switch (record.type) {
+        case TYPE.A:
+            return Buffer.from(record.data.split('.').map(Number));
+        case TYPE.PTR:
+            return encodeName(record.data);
+        case TYPE.SRV: {
+            const fixed = Buffer.alloc(6);
+            fixed.writeUInt16BE(0, 0); // priority
+            fixed.writeUInt16BE(0, 2); // weight
+            fixed.writeUInt16BE(record.data.port, 4);
+            return Buffer.concat([fixed, encodeName(record.data.target)]);
+        }
+        case TYPE.TXT:
+            return Buffer.concat(Object.entries(record.data).map(([key, value]) => {
+                const entry = Buffer.from(`${key}=${value}`, 'utf8').subarray(0, 255);
+                return Buffer.concat([Buffer.from([entry.length]), entry]);
+            }));
+        default:
+            throw new Error(`Cannot encode DNS record type ${record.type}`);
+    }
+}
+
+/**
+ * Whether a TXT entry goes out whole; longer ones are cut short
+ */
+function fitsTxt(key, value) {
+    const text = String(value);
+    return text.length <= MAX_TXT_VALUE && Buffer.byteLength(`${key}=${text}`, 'utf8') <= 255;
+}
+
+function decodeRecordData(buffer, type, start, length) {
+    const end = start + length;
+    switch (type) {
+        case TYPE.A:
+            return Array.from(buffer.subarray(start, end)).join('.');
+        case TYPE.PTR:
+            return decodeName(buffer, start).name;
+        case TYPE.SRV:
+            return { port: buffer.readUInt16BE(start + 4), target: decodeName(buffer, start + 6).name };
+        case TYPE.TXT: {
+            const data = {};
+            for (let offset = start; offset < end;) {
+                const entry = buffer.toString('utf8', offset + 1, Math.min(end, offset + 1 + buffer[offset]));
+                const split = entry.indexOf('=');
+                if (split > 0) data[entry.slice(0, split).toLowerCase()] = entry.slice(split + 1);
+                offset += 1 + buffer[offset];
+            }
+            return data;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param packet { response, questions: [{ name, type }], answers, additionals: [{ name, type, ttl, data, unique }] }
+ */
+function encodePacket(packet) {
+    const questions = packet.questions || [];
+    const answers = packet.answers || [];
+    const additionals = packet.additionals || [];
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(packet.response ? FLAGS_RESPONSE : 0, 2);
+    header.writeUInt16BE(questions.length, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(additionals.length, 10);
+
+    const parts = [header];
+    for (const question of questions) {
+        const fixed = Buffer.alloc(4);
+        fixed.writeUInt16BE(question.type, 0);
+        fixed.writeUInt16BE(CLASS_IN, 2);
+        parts.push(encodeName(question.name), fixed);
+    }
+    for (const record of answers.concat(additionals)) {
+        const data = encodeRecordData(record);
+        const fixed = Buffer.alloc(10);
+        fixed.writeUInt16BE(record.type, 0);
+        fixed.writeUInt16BE(CLASS_IN | (record.unique ? CACHE_FLUSH : 0), 2);
+        fixed.writeUInt32BE(record.ttl, 4);
+        fixed.writeUInt16BE(data.length, 8);
+        parts.push(encodeName(record.name), fixed, data);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Parse a packet; records of types Fileway does not use come back with data null.
+ * Throws on packets that are cut short.
+ */
+function decodePacket(buffer) {
+    const flags = buffer.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    let offset = 12;
+
+    const questions = [];
+    for (let i = 0; i < counts[0]; i++) {
+        const { name, end } = decodeName(buffer, offset);
+        questions.push({ name, type: buffer.readUInt16BE(end) });
+        offset = end + 4;
+    }
+
+    const records = [];
+    for (let i = 0; i < counts[1] + counts[2] + counts[3]; i++) {
+        const { name, end } = decodeName(buffer, offset);
+        const type = buffer.readUInt16BE(end);
+        const ttl = buffer.readUInt32BE(end + 4);
+        const length = buffer.readUInt16BE(end + 8);
+        if (end + 10 + length > buffer.length) throw new Error('DNS record overruns packet');
+        records.push({ name, type, ttl, data: decodeRecordData(buffer, type, end + 10, length) });
+        offset = end + 10 + length;
+    }
+
+    return { response: (flags & 0x8000) !== 0, questions, records };
+}
+
+function getInterfaceAddresses() {
+    const addresses = [];
+    const interfaces = os.networkInterfaces();
+
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            if (iface.internal || iface.family !== 'IPv4') continue;
+            addresses.push(iface.address);
+        }
+    }
+    return addresses;
+}
+
+class MdnsService extends EventEmitter {
+    constructor() {
+        super();
+        this.socket = null;
+        this.ready = false;
+        this.describe = null; // () -> { id, port, txt } of this device, or null to stay quiet
+    }
+
+    /**
+     * Join the mDNS group and answer for this device
+     * @param describe returns { id, port, txt } whenever a query comes in, or null to stay quiet
+     */
+    start(describe) {
+        this.describe = describe;
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.socket.on('error', (err) => {
+            console.error('mDNS socket error:', err.message);
+            this.stop();
+        });
+
+        this.socket.on('message', (msg, rinfo) => {
+            let packet;
+            try {
+                packet = decodePacket(msg);
+            } catch (err) {
+                return; // Malformed; mDNS carries all sorts
+            }
+
+            if (packet.response) {
+                this.handleResponse(packet, rinfo);
+            } else {
+                this.handleQuery(packet, rinfo);
+            }
+        });
+
+        this.socket.on('listening', () => {
+            this.socket.setMulticastTTL(255);
+            this.socket.setMulticastLoopback(true);
+            for (const address of getInterfaceAddresses()) {
+                try {
+                    this.socket.addMembership(MDNS_ADDRESS, address);
+                } catch (err) {
+                    // Already a member through another interface, or no multicast there
+                }
+            }
+            this.ready = true;
+            this.emit('ready');
+        });
+
+        this.socket.bind(MDNS_PORT);
+    }
+
+    /**
+     * Say goodbye (records with TTL 0) and leave
+     */
+    stop() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        const goodbye = this.ready ? this.buildRecords(0) : null;
+        this.ready = false;
+        if (goodbye) {
+            this.send(socket, encodePacket({ response: true, answers: goodbye }), () => socket.close());
+        } else {
+            socket.close();
+        }
+    }
+
+    /**
+     * Ask who offers the service; answers come back as 'service' events
+     */
+    query() {
+        if (!this.ready) return;
+        this.send(this.socket, encodePacket({ questions: [{ name: SERVICE_TYPE, type: TYPE.PTR }] }));
+    }
+
+    /**
+     * Send a packet to the group on every interface
+     */
+    send(socket, packet, callback = () => {}) {
+        const addresses = getInterfaceAddresses();
+        if (addresses.length === 0) addresses.push(null);
+
+        let pending = addresses.length;
+        for (const address of addresses) {
+            try {
+                if (address) socket.setMulticastInterface(address);
+            } catch (err) {
+                // Interface went away; the default one is used
+            }
+            socket.send(packet, MDNS_PORT, MDNS_ADDRESS, (err) => {
+                if (err && err.code !== 'ENETUNREACH') console.error('mDNS send error:', err.message);
+                if (--pending === 0) callback();
+            });
+        }
+    }
+
+    /**
+     * This device's PTR, SRV, TXT and A records
+     */
+    buildRecords(ttl) {
+        const service = this.describe && this.describe();
+        if (!service) return null;
+
+        const instance = `${service.id}.${SERVICE_TYPE}`;
+        const host = `fileway-${service.id}.local`;
+        const txt = {};
+        for (const [key, value] of Object.entries(service.txt)) {
+            txt[key] = String(value).slice(0, MAX_TXT_VALUE);
+        }
+
+        return [
+            { name: SERVICE_TYPE, type: TYPE.PTR, ttl, data: instance },
+            { name: instance, type: TYPE.SRV, ttl, unique: true, data: { port: service.port, target: host } },
+            { name: instance, type: TYPE.TXT, ttl, unique: true, data: txt },
+            ...getInterfaceAddresses().map(address => ({ name: host, type: TYPE.A, ttl, unique: true, data: address }))
+        ];
+    }
+
+    handleQuery(packet, rinfo) {
+        const asked = packet.questions.some(question =>
+            question.name.toLowerCase() === SERVICE_TYPE && (question.type === TYPE.PTR || question.type === TYPE.ANY));
+        if (!asked) return;
+
+        const records = this.buildRecords(RECORD_TTL);
+        if (!records) return;
+
+        const [ptr, ...rest] = records;
+        const response = encodePacket({ response: true, answers: [ptr], additionals: rest });
+
+        // Queries from a port other than 5353 come from simple resolvers that want a direct answer
+        if (rinfo.port !== MDNS_PORT) {
+            this.socket.send(response, rinfo.port, rinfo.address);
+        } else {
+            this.send(this.socket, response);
+        }
+    }
+
+    /**
+     * Collect the instances of the service in a response, with their port and TXT data
+     */
+    handleResponse(packet, rinfo) {
+        const suffix = '.' + SERVICE_TYPE;
+        const instances = new Map(); // instance name -> { port, txt, ttl }
+
+        for (const record of packet.records) {
+            const name = record.name.toLowerCase();
+            if (record.type === TYPE.PTR && name === SERVICE_TYPE && record.data) {
+                const instance = record.data.toLowerCase();
+                instances.set(instance, { ...instances.get(instance), ttl: record.ttl });
+            } else if ((record.type === TYPE.SRV || record.type === TYPE.TXT) && name.endsWith(suffix)) {
+                const found = instances.get(name) || {};
+                if (record.type === TYPE.SRV) found.port = record.data.port;
+                if (record.type === TYPE.TXT) found.txt = record.data;
+                if (found.ttl === undefined || record.ttl === 0) found.ttl = record.ttl;
+                instances.set(name, found);
+            }
+        }
+
+        for (const [instance, found] of instances) {
+            if (found.ttl === 0) {
+                this.emit('goodbye', { instance, port: found.port || null, txt: found.txt || {}, address: rinfo.address });
+            } else if (found.txt && found.port) {
+                this.emit('service', { instance, port: found.port, txt: found.txt, address: rinfo.address });
+            }
+        }
+    }
+}
+
+module.exports = MdnsService;
+module.exports.SERVICE_TYPE = SERVICE_TYPE;
+module.exports.encodePacket = encodePacket;
+module.exports.decodePacket = decodePacket;
+module.exports.fitsTxt = fitsTxt;
@@ -8,6 +8,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('fileway', {
     // ==================== AUTH ====================
     
+    /**
+     * Get the sign-in methods, the last one used and the mail server codes are sent through
+     */
+    getAuthOptions: () => ipcRenderer.invoke('auth:get-options'),
+
+    /**
+     * Change the mail server sign-in codes are sent through
+     */
+    setMailServer: (smtp) => ipcRenderer.invoke('auth:set-mail-server', smtp),
+
+    /**
+     * Send a sign-in code by email, or prepare for an authenticator app code
+     */
+    requestCode: (email, method) => ipcRenderer.invoke('auth:request-code', email, method),
+
     /**
      * Verify OTP for email
      */
@@ -59,22 +74,75 @@ contextBridge.exposeInMainWorld('fileway', {
      */
     findDeviceByEmail: (email) => ipcRenderer.invoke('discovery:find-by-email', email),
 
+    // ==================== SAVED DEVICES ====================
+
+    /**
+     * Get devices saved by address, with whether they are online
+     */
+    getSavedDevices: () => ipcRenderer.invoke('saved-devices:get'),
+
+    /**
+     * Check that a Fileway device answers at an IP address or host name, and save it
+     */
+    addSavedDevice: (host) => ipcRenderer.invoke('saved-devices:add', host),
+
+    /**
+     * Forget a saved device
+     */
+    removeSavedDevice: (host) => ipcRenderer.invoke('saved-devices:remove', host),
+
+    /**
+     * Listen for saved devices going online or offline
+     */
+    onSavedDevicesUpdated: (callback) => {
+        ipcRenderer.on('saved-devices:updated', (event, devices) => callback(devices));
+    },
+
     // ==================== FILE TRANSFER ====================
     
     /**
-     * Select a file to send
+     * Select files to send
+     */
+    selectFiles: () => ipcRenderer.invoke('transfer:select-file'),
+    
+    /**
+     * Select folders to send
+     */
+    selectFolders: () => ipcRenderer.invoke('transfer:select-folder'),
+    
+    /**
+     * Send files and folders to device as one session
+     */
+    sendFiles: (deviceId, filePaths) => ipcRenderer.invoke('transfer:send-files', deviceId, filePaths),
+    
+    /**
+     * Get incoming transfers that are waiting, queued or being received
+     */
+    getInboundQueue: () => ipcRenderer.invoke('transfer:get-queue'),
+    
+    /**
+     * Listen for changes to the incoming queue
      */
-    selectFile: () => ipcRenderer.invoke('transfer:select-file'),
+    onQueueUpdated: (callback) => {
+        ipcRenderer.on('transfer:queue-updated', (event, queue) => callback(queue));
+    },
     
     /**
-     * Send file to device
+     * Get outgoing transfers still in progress (after a page reload)
      */
-    sendFile: (deviceId, filePath) => ipcRenderer.invoke('transfer:send-file', deviceId, filePath),
+    getOutgoingTransfers: () => ipcRenderer.invoke('transfer:get-outgoing'),
     
     /**
-     * Accept incoming transfer
+     * Listen for an outgoing transfer waiting for a free slot on the receiver
      */
-    acceptTransfer: (transferId) => ipcRenderer.invoke('transfer:accept', transferId),
+    onSendQueued: (callback) => {
+        ipcRenderer.on('transfer:send-queued', (event, data) => callback(data));
+    },
+    
+    /**
+     * Accept incoming transfer (options.collision: 'rename' or 'overwrite')
+     */
+    acceptTransfer: (transferId, options) => ipcRenderer.invoke('transfer:accept', transferId, options),
     
     /**
      * Reject incoming transfer
@@ -82,9 +150,33 @@ contextBridge.exposeInMainWorld('fileway', {
     rejectTransfer: (transferId) => ipcRenderer.invoke('transfer:reject', transferId),
     
     /**
-     * Cancel ongoing transfer
+     * Cancel an outgoing or incoming transfer, optionally saying why
+     */
+    cancelTransfer: (transferId, reason) => ipcRenderer.invoke('transfer:cancel', transferId, reason),
+    
+    /**
+     * Pause a transfer in either direction
+     */
+    pauseTransfer: (transferId) => ipcRenderer.invoke('transfer:pause', transferId),
+    
+    /**
+     * Resume a transfer this device paused
+     */
+    resumeTransfer: (transferId) => ipcRenderer.invoke('transfer:resume', transferId),
+    
+    /**
+     * Listen for either side pausing or resuming a transfer
      */
-    cancelTransfer: (transferId) => ipcRenderer.invoke('transfer:cancel', transferId),
+    onTransferPauseChanged: (callback) => {
+        ipcRenderer.on('transfer:pause-changed', (event, data) => callback(data));
+    },
+    
+    /**
+     * Listen for transfers cancelled by either side
+     */
+    onTransferCancelled: (callback) => {
+        ipcRenderer.on('transfer:cancelled', (event, data) => callback(data));
+    },
     
     /**
      * Listen for incoming transfer requests
@@ -93,6 +185,34 @@ contextBridge.exposeInMainWorld('fileway', {
         ipcRenderer.on('transfer:request', (event, data) => callback(data));
     },
     
+    /**
+     * Listen for a sender reconnecting to continue an interrupted transfer
+     */
+    onTransferResumed: (callback) => {
+        ipcRenderer.on('transfer:resumed', (event, data) => callback(data));
+    },
+    
+    /**
+     * Listen for incoming transfers losing their connection
+     */
+    onTransferInterrupted: (callback) => {
+        ipcRenderer.on('transfer:interrupted', (event, data) => callback(data));
+    },
+    
+    /**
+     * Listen for outgoing transfers being retried after a dropped connection
+     */
+    onTransferRetrying: (callback) => {
+        ipcRenderer.on('transfer:retrying', (event, data) => callback(data));
+    },
+    
+    /**
+     * Listen for transfers accepted automatically by the auto-accept policy
+     */
+    onTransferAutoAccepted: (callback) => {
+        ipcRenderer.on('transfer:auto-accepted', (event, data) => callback(data));
+    },
+    
     /**
      * Listen for transfer progress
      */
@@ -100,6 +220,13 @@ contextBridge.exposeInMainWorld('fileway', {
         ipcRenderer.on('transfer:progress', (event, data) => callback(data));
     },
     
+    /**
+     * Listen for individual files finishing within a session
+     */
+    onFileComplete: (callback) => {
+        ipcRenderer.on('transfer:file-complete', (event, data) => callback(data));
+    },
+    
     /**
      * Listen for transfer completion
      */
@@ -107,6 +234,20 @@ contextBridge.exposeInMainWorld('fileway', {
         ipcRenderer.on('transfer:complete', (event, data) => callback(data));
     },
     
+    /**
+     * Listen for received data failing SHA-256 verification
+     */
+    onTransferCorrupted: (callback) => {
+        ipcRenderer.on('transfer:corrupted', (event, data) => callback(data));
+    },
+    
+    /**
+     * Listen for incoming transfers aborted for other reasons
+     */
+    onTransferFailed: (callback) => {
+        ipcRenderer.on('transfer:failed', (event, data) => callback(data));
+    },
+    
     /**
      * Listen for transfer accepted/rejected
      */
@@ -118,11 +259,249 @@ contextBridge.exposeInMainWorld('fileway', {
         ipcRenderer.on('transfer:rejected', (event, data) => callback(data));
     },
     
+    /**
+     * Listen for the receiving device being authenticated
+     */
+    onPeerVerified: (callback) => {
+        ipcRenderer.on('transfer:peer-verified', (event, data) => callback(data));
+    },
+    
     /**
      * Open receive folder in explorer
      */
     openReceiveFolder: () => ipcRenderer.invoke('transfer:open-folder'),
 
+    // ==================== TEXT ====================
+
+    /**
+     * Send a text snippet to a device
+     */
+    sendText: (deviceId, text) => ipcRenderer.invoke('text:send', deviceId, text),
+
+    /**
+     * Text snippets received since startup and not dismissed, newest first
+     */
+    getReceivedTexts: () => ipcRenderer.invoke('text:get-received'),
+
+    /**
+     * Remove a received snippet from the home page
+     */
+    dismissText: (transferId) => ipcRenderer.invoke('text:dismiss', transferId),
+
+    /**
+     * Copy text to the clipboard
+     */
+    copyText: (text) => ipcRenderer.invoke('text:copy', text),
+
+    /**
+     * Read the text on the clipboard
+     */
+    readClipboard: () => ipcRenderer.invoke('text:read-clipboard'),
+
+    /**
+     * Listen for incoming text snippets
+     */
+    onTextReceived: (callback) => {
+        ipcRenderer.on('text:received', (event, data) => callback(data));
+    },
+
+    // ==================== SECURITY ====================
+    
+    /**
+     * Get this device's key fingerprint
+     */
+    getFingerprint: () => ipcRenderer.invoke('security:get-fingerprint'),
+    
+    /**
+     * Get keys pinned for other devices
+     */
+    getPinnedKeys: () => ipcRenderer.invoke('security:get-pinned-keys'),
+    
+    /**
+     * Forget a pinned key so the device is trusted again on next contact
+     */
+    forgetPinnedKey: (deviceId) => ipcRenderer.invoke('security:forget-key', deviceId),
+    
+    /**
+     * Listen for a known device presenting a different key
+     */
+    onKeyChanged: (callback) => {
+        ipcRenderer.on('security:key-changed', (event, data) => callback(data));
+    },
+
+    // ==================== DEVICES ====================
+    
+    /**
+     * Get devices paired with this one
+     */
+    getPairedDevices: () => ipcRenderer.invoke('devices:get-paired'),
+    
+    /**
+     * Ask a device on the same account to pair
+     */
+    pairDevice: (deviceId) => ipcRenderer.invoke('devices:pair', deviceId),
+    
+    /**
+     * Confirm (or abandon) a pairing after comparing the safety code
+     */
+    confirmPairing: (deviceId, confirmed) => ipcRenderer.invoke('devices:confirm-pairing', deviceId, confirmed),
+    
+    /**
+     * Answer a pairing request from another device
+     */
+    respondToPairing: (request, accepted) => ipcRenderer.invoke('devices:respond-pairing', request, accepted),
+    
+    /**
+     * Remove a paired device
+     */
+    unpairDevice: (deviceId) => ipcRenderer.invoke('devices:unpair', deviceId),
+    
+    /**
+     * Get blocked devices
+     */
+    getBlockedDevices: () => ipcRenderer.invoke('devices:get-blocked'),
+    
+    /**
+     * Reject all future transfers from a device
+     */
+    blockDevice: (deviceId, info) => ipcRenderer.invoke('devices:block', deviceId, info),
+    
+    /**
+     * Allow a blocked device to send again
+     */
+    unblockDevice: (deviceId) => ipcRenderer.invoke('devices:unblock', deviceId),
+    
+    /**
+     * Listen for pairing requests from other devices
+     */
+    onPairingRequest: (callback) => {
+        ipcRenderer.on('pairing:request', (event, data) => callback(data));
+    },
+
+    // ==================== HISTORY ====================
+    
+    /**
+     * Get history entries matching the filters, plus totals over the whole history
+     */
+    getHistory: (filters) => ipcRenderer.invoke('history:get', filters),
+    
+    /**
+     * Open a file from a history entry (fileIndex omitted: the entry's main path)
+     */
+    openHistoryFile: (entryId, fileIndex) => ipcRenderer.invoke('history:open-file', entryId, fileIndex),
+    
+    /**
+     * Show a file from a history entry in Explorer
+     */
+    showHistoryFile: (entryId, fileIndex) => ipcRenderer.invoke('history:show-in-folder', entryId, fileIndex),
+    
+    /**
+     * Check a sent transfer can be sent again; returns the device and items for the send page
+     */
+    prepareResend: (entryId) => ipcRenderer.invoke('history:resend', entryId),
+    
+    /**
+     * Remove one history entry
+     */
+    deleteHistoryEntry: (entryId) => ipcRenderer.invoke('history:delete', entryId),
+    
+    /**
+     * Remove every history entry
+     */
+    clearHistory: () => ipcRenderer.invoke('history:clear'),
+    
+    /**
+     * Listen for new history entries
+     */
+    onHistoryUpdated: (callback) => {
+        ipcRenderer.on('history:updated', () => callback());
+    },
+
+    // ==================== SYNC ====================
+    
+    /**
+     * Get the synced folders with their status, and requests to sync one
+     */
+    getSyncStatus: () => ipcRenderer.invoke('sync:get-status'),
+    
+    /**
+     * Pick a folder and keep it in sync with a paired device
+     */
+    addSyncFolder: (deviceId) => ipcRenderer.invoke('sync:add-folder', deviceId),
+    
+    /**
+     * Accept a request to sync a folder, picking where it goes on this device
+     */
+    acceptSyncInvite: (syncId) => ipcRenderer.invoke('sync:accept-invite', syncId),
+    
+    /**
+     * Decline a request to sync a folder
+     */
+    declineSyncInvite: (syncId) => ipcRenderer.invoke('sync:decline-invite', syncId),
+    
+    /**
+     * Stop syncing a folder; its files are kept
+     */
+    removeSyncFolder: (syncId) => ipcRenderer.invoke('sync:remove-folder', syncId),
+    
+    /**
+     * Sync a folder right away
+     */
+    syncNow: (syncId) => ipcRenderer.invoke('sync:sync-now', syncId),
+    
+    /**
+     * Open a synced folder in Explorer
+     */
+    openSyncFolder: (syncId) => ipcRenderer.invoke('sync:open-folder', syncId),
+    
+    /**
+     * Listen for changes in the status of synced folders
+     */
+    onSyncStatusUpdated: (callback) => {
+        ipcRenderer.on('sync:status-updated', (event, status) => callback(status));
+    },
+    
+    /**
+     * Listen for requests from other devices to sync a folder
+     */
+    onSyncInvite: (callback) => {
+        ipcRenderer.on('sync:invite', (event, invite) => callback(invite));
+    },
+
+    // ==================== WEB SHARE ====================
+
+    /**
+     * Whether the browser page is running, its links, QR code and shared files
+     */
+    getWebShareStatus: () => ipcRenderer.invoke('share:get-status'),
+
+    /**
+     * Start the browser page (with a new link)
+     */
+    startWebShare: () => ipcRenderer.invoke('share:start'),
+
+    /**
+     * Stop the browser page
+     */
+    stopWebShare: () => ipcRenderer.invoke('share:stop'),
+
+    /**
+     * Pick files to offer for download on the browser page
+     */
+    addSharedFiles: () => ipcRenderer.invoke('share:add-files'),
+
+    /**
+     * Stop offering a file for download
+     */
+    removeSharedFile: (id) => ipcRenderer.invoke('share:remove-file', id),
+
+    /**
+     * Listen for changes to the shared files (added, removed, downloaded)
+     */
+    onWebShareUpdated: (callback) => {
+        ipcRenderer.on('share:updated', (event, status) => callback(status));
+    },
+
     // ==================== SETTINGS ====================
     
     /**
@@ -140,6 +519,16 @@ contextBridge.exposeInMainWorld('fileway', {
      */
     selectFolder: () => ipcRenderer.invoke('settings:select-folder'),
     
+    /**
+     * Pick any folder without changing a setting
+     */
+    chooseFolder: (title) => ipcRenderer.invoke('settings:choose-folder', title),
+    
+    /**
+     * Save the destination routing rules
+     */
+    setRoutingRules: (rules) => ipcRenderer.invoke('settings:set-routing-rules', rules),
+    
     /**
      * Open OS startup settings
      */
@@ -155,6 +544,23 @@ contextBridge.exposeInMainWorld('fileway', {
      */
     renameDevice: (name) => ipcRenderer.invoke('settings:rename-device', name),
 
+    // ==================== AUTOMATION ====================
+
+    /**
+     * Whether the automation API is on, its address and access token
+     */
+    getApiStatus: () => ipcRenderer.invoke('api:get-status'),
+
+    /**
+     * Turn the automation API on or off
+     */
+    setApiEnabled: (enabled) => ipcRenderer.invoke('api:set-enabled', enabled),
+
+    /**
+     * Replace the access token; scripts using the old one stop working
+     */
+    regenerateApiToken: () => ipcRenderer.invoke('api:regenerate-token'),
+
     // ==================== WINDOW ====================
     
     /**
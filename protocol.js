@@ -0,0 +1,101 @@
+/**
+ * protocol.js - Frame types and version negotiation for transfer connections
+ * Every record on a secure channel carries one frame: a type byte followed
+ * by the payload. DATA and COMPRESSED frames carry file bytes, every other
+ * frame a UTF-8 JSON message. Right after the key exchange both sides send HELLO
+ * with the protocol versions they speak and their optional features.
+ *
+ * HELLO and ERROR keep their numbers and meaning in every version, so two
+ * devices that cannot agree can still tell each other why.
+ */
+
+const PROTOCOL_VERSION = 2; // 1 was NUL-terminated JSON over the raw stream
+const MIN_PROTOCOL_VERSION = 2;
+
+// Optional features; only those both sides list are used
+const CAPABILITIES = ['pause', 'stripes', 'compression', 'delta', 'sync', 'text'];
+
+const FRAME = {
+    HELLO: 1,
+    ERROR: 2,
+    OFFER: 3, // sender: session manifest
+    ACCEPT: 4, // receiver: go ahead, with the offsets it already has and the block hashes of older copies
+    REJECT: 5,
+    QUEUED: 6, // receiver: accepted, waiting for a free slot
+    DATA: 7,
+    ACK: 8, // receiver: every file arrived and was verified
+    CANCEL: 9,
+    PAUSE: 10,
+    RESUME: 11,
+    PAIR: 12,
+    PAIR_RESPONSE: 13,
+    STRIPE: 14, // sender: extra connection joining an accepted session
+    BLOCK: 15, // sender, on a stripe: the next DATA frames are this block of a file
+    COMPRESSED: 16, // DATA compressed with the algorithm agreed for the transfer
+    SYNC_INDEX: 17, // either side: the index of a linked folder, answered with the other side's
+    SYNC_FETCH: 18, // either side: send me these files of a linked folder
+    TEXT: 19 // sender: a text snippet, answered with ACK once it arrived
+};
+
+const FRAME_NAMES = Object.fromEntries(Object.entries(FRAME).map(([name, type]) => [type, name]));
+
+function createHello() {
+    return {
+        version: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+        capabilities: CAPABILITIES
+    };
+}
+
+function incompatibleVersionError(message) {
+    return Object.assign(new Error(message), { code: 'incompatible-version', retryable: false });
+}
+
+/**
+ * Pick the highest version both sides speak and the features both support.
+ * Throws an 'incompatible-version' error if there is no common version.
+ */
+function negotiate(local, peer) {
+    if (!peer || !Number.isInteger(peer.version) || !Number.isInteger(peer.minVersion)) {
+        throw incompatibleVersionError('Incompatible version: the other device did not describe its protocol. Update Fileway on both devices.');
+    }
+
+    const version = Math.min(local.version, peer.version);
+    if (version < Math.max(local.minVersion, peer.minVersion)) {
+        const newer = peer.minVersion > local.version ? 'this device' : 'the other device';
+        throw incompatibleVersionError(
+            `Incompatible version: this device speaks protocol ${local.minVersion}-${local.version}, ` +
+            `the other device ${peer.minVersion}-${peer.version}. Update Fileway on ${newer}.`
+        );
+    }
+
+    const peerCapabilities = Array.isArray(peer.capabilities) ? peer.capabilities : [];
+    return {
+        version,
+        capabilities: local.capabilities.filter(capability => peerCapabilities.includes(capability))
+    };
+}
+
+function encodeMessage(message) {
+    return Buffer.from(JSON.stringify(message || {}));
+}
+
+function decodeMessage(type, payload) {
+    const message = JSON.parse(payload.toString('utf8'));
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new Error(`Malformed ${FRAME_NAMES[type] || type} message`);
+    }
+    return message;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    CAPABILITIES,
+    FRAME,
+    FRAME_NAMES,
+    createHello,
+    negotiate,
+    encodeMessage,
+    decodeMessage
+};
@@ -0,0 +1,75 @@
+/**
+ * routingRules.js - Pick a destination folder for each received file
+ * Rules match on sender email, sender device, file extension and size.
+ * The first rule whose conditions all match wins; files no rule matches
+ * go to the default download location.
+ */
+
+const path = require('path');
+const os = require('os');
+
+/**
+ * Clean up a rule coming from the settings page.
+ * Returns null if the rule has no destination or no conditions.
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule.destination !== 'string' || !rule.destination.trim()) return null;
+
+    const extensions = (Array.isArray(rule.extensions) ? rule.extensions : String(rule.extensions || '').split(','))
+        .map(ext => String(ext).trim().toLowerCase().replace(/^\./, ''))
+        .filter(Boolean);
+    const size = (value) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Math.max(0, Number(value)) : null);
+
+    const normalized = {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        senderEmail: rule.senderEmail ? String(rule.senderEmail).trim().toLowerCase() : null,
+        deviceId: rule.deviceId ? String(rule.deviceId) : null,
+        deviceName: rule.deviceName ? String(rule.deviceName) : null,
+        extensions,
+        minSize: size(rule.minSize),
+        maxSize: size(rule.maxSize),
+        destination: rule.destination.trim()
+    };
+
+    const hasCondition = normalized.senderEmail || normalized.deviceId || extensions.length > 0 ||
+        normalized.minSize !== null || normalized.maxSize !== null;
+    return hasCondition ? normalized : null;
+}
+
+/**
+ * Whether a rule applies to one file of an incoming session
+ * @param file manifest entry (relativePath, size)
+ * @param sender { email, deviceId }
+ */
+function matchesRule(rule, file, sender) {
+    if (rule.senderEmail && rule.senderEmail !== String(sender.email || '').toLowerCase()) return false;
+    if (rule.deviceId && rule.deviceId !== sender.deviceId) return false;
+
+    if (rule.extensions.length > 0) {
+        const extension = path.extname(file.relativePath).slice(1).toLowerCase();
+        if (!rule.extensions.includes(extension)) return false;
+    }
+
+    if (rule.minSize !== null && file.size < rule.minSize) return false;
+    if (rule.maxSize !== null && file.size > rule.maxSize) return false;
+    return true;
+}
+
+/**
+ * Destination folder for a file: the first matching rule, else the default.
+ * Relative rule destinations ("Pictures/Alice") are taken from the home folder.
+ */
+function resolveDestination(rules, file, sender, defaultPath) {
+    const rule = (rules || []).find(candidate => matchesRule(candidate, file, sender));
+    if (!rule) return defaultPath;
+
+    return path.isAbsolute(rule.destination)
+        ? rule.destination
+        : path.join(os.homedir(), rule.destination);
+}
+
+module.exports = {
+    normalizeRule,
+    matchesRule,
+    resolveDestination
+};
@@ -0,0 +1,142 @@
+/**
+ * benchmark.js - Measure transfer throughput with and without striping
+ *
+ *   npm run benchmark -- [--size MB] [--streams N] [--rtt ms] [--window KB] [--file path]
+ *
+ * Sends one large file to a receiver running in a child process, first over
+ * a single connection, then split across --streams connections. With --rtt,
+ * every connection goes through a local relay that delays traffic and lets
+ * at most --window KB be in flight, like a TCP connection whose window is
+ * the limit on a fast link. That is the case striping is meant for.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { fork } = require('child_process');
+const FileTransfer = require('../fileTransfer');
+
+const RECEIVER_PORT = 41335;
+const RELAY_PORT = 41336;
+
+function parseArgs(argv) {
+    const args = { size: 256, streams: 4, rtt: 10, window: 256, file: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in args)) throw new Error(`Unknown option ${argv[i]}`);
+        args[key] = key === 'file' ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    return args;
+}
+
+/**
+ * Runs in the child process: accept everything and delete it again
+ */
+function runReceiver(receivePath) {
+    const receiver = new FileTransfer({ receivePath, port: RECEIVER_PORT });
+    receiver.on('transferRequest', request => receiver.acceptTransfer(request.transferId));
+    receiver.on('transferComplete', (result) => {
+        result.files.forEach(file => fs.rmSync(file, { force: true }));
+        process.send({ type: 'complete' });
+    });
+    receiver.startServer('receiver@benchmark');
+    process.send({ type: 'ready' });
+}
+
+/**
+ * Forward one direction of a relayed connection after a delay,
+ * pausing the source while a full window is in flight
+ */
+function relay(from, to, delay, window) {
+    let inFlight = 0;
+    from.on('data', (chunk) => {
+        inFlight += chunk.length;
+        if (inFlight >= window) from.pause();
+        setTimeout(() => {
+            if (!to.destroyed) to.write(chunk);
+            inFlight -= chunk.length;
+            if (inFlight < window) from.resume();
+        }, delay);
+    });
+    from.on('end', () => setTimeout(() => to.end(), delay));
+    from.on('error', () => to.destroy());
+}
+
+function startRelay(rtt, window) {
+    const server = net.createServer((client) => {
+        const upstream = net.createConnection(RECEIVER_PORT, '127.0.0.1');
+        relay(client, upstream, rtt / 2, window);
+        relay(upstream, client, rtt / 2, window);
+    });
+    return new Promise(resolve => server.listen(RELAY_PORT, '127.0.0.1', () => resolve(server)));
+}
+
+async function createTestFile(filePath, size) {
+    const handle = await fs.promises.open(filePath, 'w');
+    const chunk = crypto.randomBytes(4 * 1024 * 1024);
+    try {
+        for (let written = 0; written < size; written += chunk.length) {
+            await handle.write(chunk, 0, Math.min(chunk.length, size - written));
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fileway-benchmark-'));
+    const filePath = args.file || path.join(workDir, 'benchmark.bin');
+
+    const receiver = fork(__filename, ['--receiver', path.join(workDir, 'received')]);
+    let relayServer = null;
+
+    try {
+        if (!args.file) {
+            console.log(`Creating a ${args.size} MB test file...`);
+            await createTestFile(filePath, args.size * 1024 * 1024);
+        }
+        const size = fs.statSync(filePath).size;
+
+        await new Promise(resolve => receiver.once('message', resolve));
+        if (args.rtt > 0) {
+            relayServer = await startRelay(args.rtt, args.window * 1024);
+        }
+
+        const sender = new FileTransfer({ port: args.rtt > 0 ? RELAY_PORT : RECEIVER_PORT });
+        const link = args.rtt > 0 ? `${args.rtt} ms round trip, ${args.window} KB window per connection` : 'no added latency';
+        console.log(`Sending ${(size / 1024 / 1024).toFixed(0)} MB over loopback, ${link}`);
+
+        let baseline = null;
+        for (const streams of [1, args.streams]) {
+            const completed = new Promise(resolve => receiver.once('message', resolve));
+            // Hashing the file beforehand takes as long either way, so time only the data
+            let startedAt = null;
+            sender.once('transferAccepted', () => { startedAt = process.hrtime.bigint(); });
+            await sender.sendFiles('127.0.0.1', [filePath], 'sender@benchmark', { streams });
+            await completed;
+
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const rate = size / 1024 / 1024 / seconds;
+            baseline = baseline || rate;
+            const label = `${streams} connection${streams === 1 ? '' : 's'}:`;
+            const gain = streams === 1 ? '' : ` (${(rate / baseline).toFixed(1)}x)`;
+            console.log(`  ${label.padEnd(16)}${rate.toFixed(1).padStart(8)} MB/s${gain}`);
+        }
+    } finally {
+        receiver.kill();
+        if (relayServer) relayServer.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+if (process.argv[2] === '--receiver') {
+    runReceiver(process.argv[3]);
+} else {
+    main().catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,420 @@
+/**
+ * secureChannel.js - Authenticated, encrypted wrapper around a TCP socket
+ * Each device has a persistent Ed25519 identity key. Connections run an
+ * ephemeral X25519 key exchange signed with those identities, then carry
+ * AES-256-GCM records, one protocol frame each (see protocol.js). Before
+ * 'secure' is emitted both sides exchange HELLO frames and settle on a
+ * protocol version. The channel mimics the parts of net.Socket that
+ * fileTransfer.js uses (write, end, pause, resume, destroy, data/drain/close/error);
+ * write() sends DATA frames and send() typed messages, which arrive as
+ * 'message' events even while data is paused, so either side can always
+ * be told to stop. COMPRESSED frames arrive as 'data' with compressed set.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { FRAME, createHello, negotiate, encodeMessage, decodeMessage } = require('./protocol');
+
+const RECORD_HEADER_SIZE = 4;
+const TAG_SIZE = 16;
+const MAX_DATA_SIZE = 1024 * 1024; // 1MB of file data per record
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // large manifests fit in one message
+const MAX_HANDSHAKE_SIZE = 16 * 1024;
+const MAX_PAUSED_BUFFER = 8 * 1024 * 1024; // stop reading the socket past this while paused
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Create a new long-term device identity (PEM encoded Ed25519 key pair)
+ */
+function generateIdentity() {
+    return crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+}
+
+/**
+ * Public key as sent on the wire: base64 of the DER SubjectPublicKeyInfo
+ */
+function exportPublicKey(publicKey) {
+    const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+    return key.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Group a hex digest into a short code people can compare by eye
+ */
+function formatCode(hex) {
+    return hex.slice(0, 16).toUpperCase().match(/.{4}/g).join('-');
+}
+
+/**
+ * Short fingerprint of a single device key
+ */
+function fingerprint(publicKey) {
+    const der = Buffer.from(exportPublicKey(publicKey), 'base64');
+    return formatCode(crypto.createHash('sha256').update(der).digest('hex'));
+}
+
+/**
+ * Code derived from both devices' keys. Both screens show the same value,
+ * so users can confirm they are talking to each other on first contact.
+ */
+function safetyCode(publicKeyA, publicKeyB) {
+    const keys = [exportPublicKey(publicKeyA), exportPublicKey(publicKeyB)].sort();
+    return formatCode(crypto.createHash('sha256').update(keys.join('\0')).digest('hex'));
+}
+
+class SecureChannel extends EventEmitter {
+    /**
+     * @param socket connected (or connecting) net.Socket
+     * @param options.identity { deviceId, publicKey, privateKey }
+     * @param options.initiator true on the connecting side
+     * @param options.verifyPeer called with the authenticated peer, return false to refuse it
+     */
+    constructor(socket, { identity, initiator, verifyPeer }) {
+        super();
+        this.socket = socket;
+        this.identity = identity;
+        this.initiator = initiator;
+        this.verifyPeer = verifyPeer || (() => true);
+        this.state = 'hello';
+        this.buffer = Buffer.alloc(0);
+        this.paused = false;
+        this.pausedData = []; // decrypted { payload, compressed } held back while paused
+        this.pausedBytes = 0;
+        this.peer = null;
+        this.localProtocol = createHello();
+        this.protocol = null; // { version, capabilities } once negotiated
+
+        this.ephemeral = crypto.generateKeyPairSync('x25519');
+        this.localHello = JSON.stringify({
+            deviceId: identity.deviceId,
+            publicKey: exportPublicKey(identity.publicKey),
+            ephemeralKey: this.ephemeral.publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+            nonce: crypto.randomBytes(32).toString('base64')
+        });
+
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('drain', () => this.emit('drain'));
+        socket.on('error', (err) => this.emit('error', err));
+        socket.on('close', () => this.emit('close'));
+
+        socket.write(this.localHello + '\0');
+    }
+
+    get destroyed() {
+        return this.socket.destroyed;
+    }
+
+    get remoteAddress() {
+        // IPv4 peers of a dual-stack server show up as ::ffff:a.b.c.d
+        return String(this.socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    }
+
+    /**
+     * Encrypt and send file data (DATA frames) once the channel is secure.
+     * Returns false like net.Socket once the send buffer is full; wait for 'drain'.
+     */
+    write(data, callback) {
+        return this.writeData(FRAME.DATA, data, callback);
+    }
+
+    /**
+     * Send file data compressed with the algorithm agreed for the transfer.
+     * Each call must be one compressed chunk, decodable on its own.
+     */
+    writeCompressed(data, callback) {
+        if (data.length > MAX_DATA_SIZE) {
+            throw new Error('Compressed chunk too large');
+        }
+        return this.writeData(FRAME.COMPRESSED, data, callback);
+    }
+
+    writeData(type, data, callback) {
+        if (this.state !== 'secure') {
+            throw new Error('Secure channel is not established');
+        }
+
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        let result = true;
+
+        for (let offset = 0; offset < buffer.length; offset += MAX_DATA_SIZE) {
+            const isLast = offset + MAX_DATA_SIZE >= buffer.length;
+            result = this.socket.write(
+                this.seal(type, buffer.subarray(offset, offset + MAX_DATA_SIZE)),
+                isLast ? callback : undefined
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Send a typed JSON message (any frame type but DATA).
+     * Does nothing once the channel is closed.
+     */
+    send(type, message) {
+        if (this.state !== 'secure' || this.socket.destroyed) return false;
+
+        const payload = encodeMessage(message);
+        if (payload.length > MAX_MESSAGE_SIZE) {
+            throw new Error('Message too large');
+        }
+        return this.socket.write(this.seal(type, payload));
+    }
+
+    /**
+     * Whether both sides support an optional protocol feature
+     */
+    supports(capability) {
+        return Boolean(this.protocol) && this.protocol.capabilities.includes(capability);
+    }
+
+    end() {
+        this.socket.end();
+    }
+
+    destroy(err) {
+        this.socket.destroy(err);
+    }
+
+    /**
+     * Hold back data events. The socket keeps being read (up to a limit)
+     * so control records still get through.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        while (!this.paused && this.pausedData.length > 0) {
+            const { payload, compressed } = this.pausedData.shift();
+            this.pausedBytes -= payload.length;
+            this.emit('data', payload, compressed);
+        }
+        this.processBuffer();
+        if (!this.paused) {
+            this.socket.resume();
+        }
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this.processBuffer();
+    }
+
+    processBuffer() {
+        try {
+            while (!this.socket.destroyed) {
+                if (this.state === 'hello' || this.state === 'finished') {
+                    const nullIndex = this.buffer.indexOf(0);
+                    if (nullIndex === -1) {
+                        if (this.buffer.length > MAX_HANDSHAKE_SIZE) {
+                            throw new Error('Handshake message too large');
+                        }
+                        return;
+                    }
+
+                    const raw = this.buffer.subarray(0, nullIndex).toString();
+                    this.buffer = this.buffer.subarray(nullIndex + 1);
+
+                    if (this.state === 'hello') {
+                        this.onPeerHello(raw);
+                    } else {
+                        this.onPeerFinished(JSON.parse(raw));
+                    }
+                } else if (this.state === 'negotiating' || this.state === 'secure') {
+                    if (this.paused && this.pausedBytes + this.buffer.length > MAX_PAUSED_BUFFER) {
+                        this.socket.pause();
+                        return;
+                    }
+                    if (!this.readRecord()) return;
+                } else {
+                    return;
+                }
+            }
+        } catch (err) {
+            this.state = 'failed';
+            this.socket.destroy(err);
+        }
+    }
+
+    /**
+     * Peer hello received: derive the shared secret and prove our identity
+     */
+    onPeerHello(raw) {
+        const hello = JSON.parse(raw);
+        if (typeof hello.deviceId !== 'string' || !DEVICE_ID_PATTERN.test(hello.deviceId)) {
+            throw new Error('Invalid device ID in handshake');
+        }
+        this.peerHelloRaw = raw;
+        this.peerHello = hello;
+
+        const peerEphemeral = crypto.createPublicKey({
+            key: Buffer.from(hello.ephemeralKey, 'base64'),
+            format: 'der',
+            type: 'spki'
+        });
+        this.sharedSecret = crypto.diffieHellman({
+            privateKey: this.ephemeral.privateKey,
+            publicKey: peerEphemeral
+        });
+
+        // Both sides hash the hellos in the same order: initiator first
+        const hellos = this.initiator
+            ? [this.localHello, this.peerHelloRaw]
+            : [this.peerHelloRaw, this.localHello];
+        this.transcript = crypto.createHash('sha256').update(hellos.join('\0')).digest();
+
+        const signature = crypto.sign(null, this.signedPayload(this.initiator), this.identity.privateKey);
+        this.socket.write(JSON.stringify({ signature: signature.toString('base64') }) + '\0');
+        this.state = 'finished';
+    }
+
+    /**
+     * Peer signature received: check it, let the caller vet the key, switch to records
+     */
+    onPeerFinished(message) {
+        const peerKey = crypto.createPublicKey({
+            key: Buffer.from(this.peerHello.publicKey, 'base64'),
+            format: 'der',
+            type: 'spki'
+        });
+
+        const valid = crypto.verify(
+            null,
+            this.signedPayload(!this.initiator),
+            peerKey,
+            Buffer.from(String(message.signature), 'base64')
+        );
+        if (!valid) {
+            throw new Error('Peer failed to prove its identity');
+        }
+
+        this.peer = {
+            deviceId: this.peerHello.deviceId,
+            publicKey: this.peerHello.publicKey,
+            fingerprint: fingerprint(peerKey),
+            safetyCode: safetyCode(peerKey, this.identity.publicKey)
+        };
+
+        if (!this.verifyPeer(this.peer)) {
+            throw new Error('Peer key rejected');
+        }
+
+        const deriveKey = (label) => Buffer.from(crypto.hkdfSync('sha256', this.sharedSecret, this.transcript, label, 32));
+        const toResponder = deriveKey('fileway initiator to responder');
+        const toInitiator = deriveKey('fileway responder to initiator');
+
+        this.sendKey = this.initiator ? toResponder : toInitiator;
+        this.receiveKey = this.initiator ? toInitiator : toResponder;
+        this.sendCounter = 0n;
+        this.receiveCounter = 0n;
+        this.state = 'negotiating';
+
+        this.socket.write(this.seal(FRAME.HELLO, encodeMessage(this.localProtocol)));
+    }
+
+    /**
+     * First frame from the peer: agree on a protocol version, or explain why not
+     */
+    onProtocolHello(type, payload) {
+        if (type === FRAME.ERROR) {
+            const message = decodeMessage(type, payload);
+            if (message.code === 'incompatible-version') {
+                // Describe the mismatch from this side's point of view
+                negotiate(this.localProtocol, message.supported);
+            }
+            throw Object.assign(new Error(String(message.error)), { code: message.code, retryable: false });
+        }
+
+        try {
+            this.protocol = negotiate(this.localProtocol, type === FRAME.HELLO ? decodeMessage(type, payload) : null);
+        } catch (err) {
+            // Tell the other side before hanging up, so it can explain the failure too
+            this.state = 'failed';
+            this.socket.end(this.seal(FRAME.ERROR, encodeMessage({
+                code: err.code,
+                error: 'Incompatible version',
+                supported: this.localProtocol
+            })));
+            this.emit('error', err);
+            return;
+        }
+
+        this.state = 'secure';
+        this.emit('secure', this.peer);
+    }
+
+    signedPayload(asInitiator) {
+        const label = asInitiator ? 'fileway initiator' : 'fileway responder';
+        return Buffer.concat([Buffer.from(label), this.transcript]);
+    }
+
+    nonce(counter) {
+        const nonce = Buffer.alloc(12);
+        nonce.writeBigUInt64BE(counter, 4);
+        return nonce;
+    }
+
+    /**
+     * Encrypt one record: [length][ciphertext][tag], length authenticated as AAD.
+     * The plaintext is a frame: type byte, then payload.
+     */
+    seal(type, payload) {
+        const plaintext = Buffer.concat([Buffer.from([type]), payload]);
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        header.writeUInt32BE(plaintext.length + TAG_SIZE);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.sendKey, this.nonce(this.sendCounter++));
+        cipher.setAAD(header);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return Buffer.concat([header, ciphertext, cipher.getAuthTag()]);
+    }
+
+    /**
+     * Decrypt one complete record from the buffer, if there is one
+     */
+    readRecord() {
+        if (this.buffer.length < RECORD_HEADER_SIZE) return false;
+
+        const length = this.buffer.readUInt32BE(0);
+        if (length < TAG_SIZE + 1 || length > MAX_MESSAGE_SIZE + 1 + TAG_SIZE) {
+            throw new Error('Invalid record length');
+        }
+        if (this.buffer.length < RECORD_HEADER_SIZE + length) return false;
+
+        const header = this.buffer.subarray(0, RECORD_HEADER_SIZE);
+        const body = this.buffer.subarray(RECORD_HEADER_SIZE, RECORD_HEADER_SIZE + length);
+        this.buffer = this.buffer.subarray(RECORD_HEADER_SIZE + length);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.receiveKey, this.nonce(this.receiveCounter++));
+        decipher.setAAD(header);
+        decipher.setAuthTag(body.subarray(body.length - TAG_SIZE));
+        const plaintext = Buffer.concat([decipher.update(body.subarray(0, body.length - TAG_SIZE)), decipher.final()]);
+        const type = plaintext[0];
+        const payload = plaintext.subarray(1);
+
+        if (this.state === 'negotiating') {
+            this.onProtocolHello(type, payload);
+        } else if (type !== FRAME.DATA && type !== FRAME.COMPRESSED) {
+            this.emit('message', type, decodeMessage(type, payload));
+        } else if (this.paused) {
+            this.pausedData.push({ payload, compressed: type === FRAME.COMPRESSED });
+            this.pausedBytes += payload.length;
+        } else {
+            this.emit('data', payload, type === FRAME.COMPRESSED);
+        }
+        return true;
+    }
+}
+
+module.exports = SecureChannel;
+module.exports.generateIdentity = generateIdentity;
+module.exports.exportPublicKey = exportPublicKey;
+module.exports.fingerprint = fingerprint;
+module.exports.safetyCode = safetyCode;
+module.exports.DEVICE_ID_PATTERN = DEVICE_ID_PATTERN;
@@ -0,0 +1,255 @@
+/**
+ * smtp.js - Minimal SMTP client for sending sign-in codes
+ * Speaks just enough SMTP (RFC 5321) to hand one plain-text message to a
+ * mail server: EHLO, STARTTLS when the server offers it, AUTH PLAIN when a
+ * username is set, then MAIL, RCPT and DATA. Implicit TLS (port 465) is
+ * `secure: true`. A local mail sink (MailHog, smtp4dev) needs none of it.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+const MAX_RESPONSE_SIZE = 64 * 1024;
+
+function smtpError(message, responseCode = null) {
+    return Object.assign(new Error(message), { code: 'smtp', responseCode });
+}
+
+function isLocalHost(host) {
+    return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Bare address of "Name <address>" or "address"
+ */
+function addressOf(mailbox) {
+    const match = /<([^<>]+)>\s*$/.exec(String(mailbox));
+    return (match ? match[1] : String(mailbox)).trim();
+}
+
+/**
+ * Header value safe to send: no line breaks, non-ASCII as an RFC 2047 encoded word
+ */
+function headerValue(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * The message as sent after DATA: headers, CRLF line endings, dot-stuffed
+ */
+function formatMessage({ from, to, subject, text }, hostname) {
+    const headers = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${headerValue(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${hostname}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Line-based reader of SMTP replies ("250-first line", ..., "250 last line")
+ */
+class ReplyReader {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null; // { resolve, reject } of the reply being read
+        this.error = null;
+        this.socket = null;
+        this.onData = (chunk) => {
+            this.buffer += chunk.toString('latin1'); // replies are ASCII
+            if (this.buffer.length > MAX_RESPONSE_SIZE) {
+                this.fail(smtpError('The mail server sent too long a reply'));
+                return;
+            }
+            this.drain();
+        };
+        this.attach(socket);
+    }
+
+    /**
+     * Read from another socket, e.g. the TLS one after STARTTLS
+     */
+    attach(socket) {
+        if (this.socket) this.socket.removeListener('data', this.onData);
+        this.socket = socket;
+        socket.on('data', this.onData);
+    }
+
+    detach() {
+        if (this.socket) this.socket.removeListener('data', this.onData);
+        this.socket = null;
+    }
+
+    fail(err) {
+        this.error = this.error || err;
+        if (this.waiting) {
+            this.waiting.reject(this.error);
+            this.waiting = null;
+        }
+    }
+
+    drain() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''));
+            this.buffer = this.buffer.slice(index + 1);
+        }
+        this.deliver();
+    }
+
+    deliver() {
+        if (!this.waiting) return;
+        const last = this.lines.findIndex(line => !/^\d{3}-/.test(line));
+        if (last === -1) return;
+
+        const lines = this.lines.splice(0, last + 1);
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({
+            code: parseInt(lines[lines.length - 1].slice(0, 3), 10),
+            lines: lines.map(line => line.slice(4))
+        });
+    }
+
+    read() {
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+    }
+}
+
+class SmtpTransport {
+    /**
+     * @param options.host, options.port mail server (localhost:25 by default)
+     * @param options.secure connect with TLS straight away (port 465)
+     * @param options.startTls upgrade with STARTTLS when offered (default true)
+     * @param options.username, options.password for AUTH PLAIN
+     * @param options.rejectUnauthorized check the server certificate (default true)
+     */
+    constructor(options = {}) {
+        this.host = options.host || 'localhost';
+        this.port = options.port || (options.secure ? 465 : 25);
+        this.secure = Boolean(options.secure);
+        this.startTls = options.startTls !== false;
+        this.username = options.username || '';
+        this.password = options.password || '';
+        this.rejectUnauthorized = options.rejectUnauthorized !== false;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.hostname = options.hostname || os.hostname() || 'localhost';
+    }
+
+    /**
+     * Send one message: { from, to, subject, text }
+     */
+    async sendMail(message) {
+        const socket = await this.connect();
+        let current = socket;
+        const reader = new ReplyReader(socket);
+        const timer = setTimeout(() => {
+            reader.fail(smtpError(`The mail server at ${this.host}:${this.port} stopped answering`));
+            current.destroy();
+        }, this.timeout);
+
+        const onError = (err) => reader.fail(smtpError(`Could not talk to the mail server: ${err.message}`));
+        const onClose = () => reader.fail(smtpError('The mail server closed the connection'));
+        socket.on('error', onError);
+        socket.on('close', onClose);
+
+        const command = async (line, expected) => {
+            if (line !== null) current.write(line + '\r\n');
+            const reply = await reader.read();
+            if (!expected.includes(reply.code)) {
+                const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+                throw smtpError(`The mail server refused ${shown || 'the connection'}: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+            }
+            return reply;
+        };
+
+        try {
+            await command(null, [220]);
+            const hello = await command(`EHLO ${this.hostname}`, [250]);
+
+            let encrypted = this.secure;
+            const offers = (keyword) => hello.lines.some(line => line.toUpperCase().split(' ')[0] === keyword);
+            if (!encrypted && this.startTls && offers('STARTTLS')) {
+                await command('STARTTLS', [220]);
+                reader.detach();
+                current = await this.upgrade(socket);
+                current.on('error', onError);
+                reader.attach(current);
+                encrypted = true;
+                await command(`EHLO ${this.hostname}`, [250]);
+            }
+
+            if (this.username) {
+                if (!encrypted && !isLocalHost(this.host)) {
+                    throw smtpError(`The mail server at ${this.host} does not offer TLS; not sending the password unencrypted`);
+                }
+                const credentials = Buffer.from(`\0${this.username}\0${this.password}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+
+            await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+            await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+            await command('DATA', [354]);
+            current.write(formatMessage(message, this.hostname));
+            await command(null, [250]);
+            await command('QUIT', [221]).catch(() => {});
+        } finally {
+            clearTimeout(timer);
+            socket.removeListener('close', onClose);
+            current.end();
+        }
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.secure
+                ? tls.connect({ ...options, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+                : net.createConnection(options);
+
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(smtpError(`Could not reach the mail server at ${this.host}:${this.port}`));
+            }, this.timeout);
+
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                socket.removeAllListeners('error');
+                resolve(socket);
+            });
+            socket.once('error', (err) => {
+                clearTimeout(timer);
+                reject(smtpError(`Could not reach the mail server at ${this.host}:${this.port}: ${err.message}`));
+            });
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secured = tls.connect({
+                socket,
+                servername: this.host,
+                rejectUnauthorized: this.rejectUnauthorized
+            }, () => resolve(secured));
+            secured.once('error', (err) => reject(smtpError(`STARTTLS failed: ${err.message}`)));
+        });
+    }
+}
+
+module.exports = SmtpTransport;
+module.exports.formatMessage = formatMessage;
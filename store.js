@@ -1,17 +1,64 @@
 /**
  * store.js - Local data persistence using electron-store
- * Stores user profile, device ID, and settings
+ * Stores user profile, device ID, settings, transfer history and synced folders.
+ * Without Electron (the command line, see cli.js) the same data lives in a
+ * plain JSON file: $FILEWAY_CONFIG, or ~/.fileway/config.json.
+ * The history is large and only read on the history page, so it has a file
+ * of its own (fileway-history.json, or config.history.json): every read of
+ * the store parses its whole file.
  */
 
-const Store = require("electron-store");
+const FileStore = require("./fileStore");
 const { v4: uuidv4 } = require("uuid");
+const { generateIdentity, fingerprint } = require("./secureChannel");
+const crypto = require("crypto");
 const path = require("path");
 const os = require("os");
 
-const store = new Store({
+const MAX_HISTORY_ENTRIES = 1000;
+
+// How to sign in; the mail server is where sign-in codes are sent from
+const DEFAULT_AUTH_SETTINGS = {
+  method: "email",
+  sessionDays: 30,
+  smtp: {
+    host: "localhost",
+    port: 25,
+    secure: false,
+    username: "",
+    password: "",
+    from: "Fileway <fileway@localhost>",
+  },
+};
+
+/**
+ * @param suffix for the plain JSON file, added to the config file's name
+ */
+function createStore(options, suffix = null) {
+  if (process.versions.electron) {
+    const Store = require("electron-store");
+    return new Store(options);
+  }
+  const configPath = process.env.FILEWAY_CONFIG || path.join(os.homedir(), ".fileway", "config.json");
+  return new FileStore({
+    path: suffix ? configPath.replace(/(\.json)?$/, `.${suffix}.json`) : configPath,
+    defaults: options.defaults,
+  });
+}
+
+const store = createStore({
   name: "fileway-data",
   defaults: {
     deviceId: null,
+    deviceKeys: null,
+    pinnedKeys: {},
+    pairedDevices: {},
+    blockedDevices: {},
+    syncFolders: {},
+    savedDevices: {},
+    apiToken: null,
+    totpSecrets: {},
+    session: null,
     email: null,
     firstName: null,
     lastName: null,
@@ -24,12 +71,32 @@ const store = new Store({
       notifications: true,
       autoAccept: 'my-devices',
       downloadLocation: path.join(os.homedir(), 'Downloads'),
+      routingRules: [],
+      collisionStrategy: 'rename',
+      maxConcurrentReceives: 2,
+      parallelConnections: 1,
+      compressTransfers: true,
       speedDiagnostics: false,
-      searchableByName: true
+      searchableByName: true,
+      automationApi: false,
+      auth: DEFAULT_AUTH_SETTINGS
     }
   },
 });
 
+const historyStore = createStore({
+  name: "fileway-history",
+  defaults: {
+    entries: [],
+  },
+}, "history");
+
+// History kept in the main store by earlier versions
+if (store.has("transferHistory")) {
+  historyStore.set("entries", store.get("transferHistory"));
+  store.delete("transferHistory");
+}
+
 // Initialize device ID if not exists
 function initializeDevice() {
   if (!store.get("deviceId")) {
@@ -38,9 +105,176 @@ function initializeDevice() {
   if (!store.get("deviceName")) {
     store.set("deviceName", os.hostname());
   }
+  if (!store.get("deviceKeys")) {
+    store.set("deviceKeys", generateIdentity());
+  }
   return store.get("deviceId");
 }
 
+// Device identity used to authenticate transfer connections
+function getDeviceIdentity() {
+  const keys = store.get("deviceKeys");
+  return {
+    deviceId: store.get("deviceId"),
+    publicKey: keys.publicKey,
+    privateKey: keys.privateKey,
+  };
+}
+
+function getDeviceFingerprint() {
+  return fingerprint(store.get("deviceKeys").publicKey);
+}
+
+// Pinned peer keys (trust on first use)
+function getPinnedKey(deviceId) {
+  return store.get("pinnedKeys")[deviceId] || null;
+}
+
+function pinKey(deviceId, record) {
+  const pinnedKeys = store.get("pinnedKeys");
+  pinnedKeys[deviceId] = record;
+  store.set("pinnedKeys", pinnedKeys);
+}
+
+function forgetPinnedKey(deviceId) {
+  const pinnedKeys = store.get("pinnedKeys");
+  delete pinnedKeys[deviceId];
+  store.set("pinnedKeys", pinnedKeys);
+}
+
+function getPinnedKeys() {
+  return store.get("pinnedKeys");
+}
+
+// Paired devices (same account, safety code confirmed by the user)
+function getPairedDevices() {
+  return store.get("pairedDevices");
+}
+
+function addPairedDevice(deviceId, record) {
+  const pairedDevices = store.get("pairedDevices");
+  pairedDevices[deviceId] = { ...record, pairedAt: Date.now() };
+  store.set("pairedDevices", pairedDevices);
+}
+
+function removePairedDevice(deviceId) {
+  const pairedDevices = store.get("pairedDevices");
+  delete pairedDevices[deviceId];
+  store.set("pairedDevices", pairedDevices);
+}
+
+// Blocked devices (transfers are rejected without asking)
+function getBlockedDevices() {
+  return store.get("blockedDevices");
+}
+
+function blockDevice(deviceId, record) {
+  const blockedDevices = store.get("blockedDevices");
+  blockedDevices[deviceId] = { ...record, blockedAt: Date.now() };
+  store.set("blockedDevices", blockedDevices);
+}
+
+function unblockDevice(deviceId) {
+  const blockedDevices = store.get("blockedDevices");
+  delete blockedDevices[deviceId];
+  store.set("blockedDevices", blockedDevices);
+}
+
+// Transfer history (newest first)
+function getHistory() {
+  return historyStore.get("entries");
+}
+
+function addHistoryEntry(entry) {
+  const history = historyStore.get("entries");
+  history.unshift(entry);
+  historyStore.set("entries", history.slice(0, MAX_HISTORY_ENTRIES));
+}
+
+function getHistoryEntry(id) {
+  return historyStore.get("entries").find((entry) => entry.id === id) || null;
+}
+
+function removeHistoryEntry(id) {
+  const history = historyStore.get("entries");
+  historyStore.set("entries", history.filter((entry) => entry.id !== id));
+}
+
+function clearHistory() {
+  historyStore.set("entries", []);
+}
+
+// Folders kept in sync with another device (their indexes live in files, see folderSync.js)
+function getSyncFolders() {
+  return store.get("syncFolders");
+}
+
+function saveSyncFolder(record) {
+  const syncFolders = store.get("syncFolders");
+  syncFolders[record.syncId] = record;
+  store.set("syncFolders", syncFolders);
+}
+
+function removeSyncFolder(syncId) {
+  const syncFolders = store.get("syncFolders");
+  delete syncFolders[syncId];
+  store.set("syncFolders", syncFolders);
+}
+
+// Devices added by IP address or host name, for networks discovery does not reach
+function getSavedDevices() {
+  return store.get("savedDevices");
+}
+
+function saveDevice(host, record) {
+  const savedDevices = store.get("savedDevices");
+  savedDevices[host] = { addedAt: Date.now(), ...savedDevices[host], ...record, host };
+  store.set("savedDevices", savedDevices);
+}
+
+function removeSavedDevice(host) {
+  const savedDevices = store.get("savedDevices");
+  delete savedDevices[host];
+  store.set("savedDevices", savedDevices);
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// Access token of the automation API, created the first time it is needed
+function getApiToken() {
+  if (!store.get("apiToken")) {
+    store.set("apiToken", generateToken());
+  }
+  return store.get("apiToken");
+}
+
+function resetApiToken() {
+  store.set("apiToken", generateToken());
+  return store.get("apiToken");
+}
+
+// Authenticator app secrets, per email address (see auth.js)
+function getTotpSecret(email) {
+  return store.get("totpSecrets")[email] || null;
+}
+
+function saveTotpSecret(email, record) {
+  const totpSecrets = store.get("totpSecrets");
+  totpSecrets[email] = record;
+  store.set("totpSecrets", totpSecrets);
+}
+
+// Current sign-in, which expires
+function getSession() {
+  return store.get("session");
+}
+
+function setSession(session) {
+  store.set("session", session);
+}
+
 // User profile functions
 function saveProfile(email, firstName, lastName) {
   store.set("email", email);
@@ -83,6 +317,7 @@ function logout() {
   store.set("firstName", null);
   store.set("lastName", null);
   store.set("isLoggedIn", false);
+  store.set("session", null);
 }
 
 function getDeviceId() {
@@ -118,11 +353,33 @@ function getSettings() {
     notifications: true,
     autoAccept: 'my-devices',
     downloadLocation: path.join(os.homedir(), 'Downloads'),
+    routingRules: [],
+    collisionStrategy: 'rename',
+    maxConcurrentReceives: 2,
+    parallelConnections: 1,
+    compressTransfers: true,
     speedDiagnostics: false,
-    searchableByName: true
+    searchableByName: true,
+    automationApi: false,
+    auth: DEFAULT_AUTH_SETTINGS
+  };
+}
+
+// Sign-in settings, with defaults for what older versions did not store
+function getAuthSettings() {
+  const auth = getSettings().auth || {};
+  return {
+    ...DEFAULT_AUTH_SETTINGS,
+    ...auth,
+    smtp: { ...DEFAULT_AUTH_SETTINGS.smtp, ...auth.smtp },
   };
 }
 
+// Where the data is kept, for the command line's config command
+function getStorePath() {
+  return store.path;
+}
+
 function setSetting(key, value) {
   const settings = getSettings();
   settings[key] = value;
@@ -140,9 +397,40 @@ module.exports = {
   hasNameForEmail,
   logout,
   getDeviceId,
+  getDeviceIdentity,
+  getDeviceFingerprint,
+  getPinnedKey,
+  pinKey,
+  forgetPinnedKey,
+  getPinnedKeys,
+  getPairedDevices,
+  addPairedDevice,
+  removePairedDevice,
+  getBlockedDevices,
+  blockDevice,
+  unblockDevice,
+  getHistory,
+  addHistoryEntry,
+  getHistoryEntry,
+  removeHistoryEntry,
+  clearHistory,
+  getSyncFolders,
+  saveSyncFolder,
+  removeSyncFolder,
+  getSavedDevices,
+  saveDevice,
+  removeSavedDevice,
+  getApiToken,
+  resetApiToken,
+  getTotpSecret,
+  saveTotpSecret,
+  getSession,
+  setSession,
   getDeviceName,
   setDeviceName,
   getEmail,
   getSettings,
   setSetting,
+  getAuthSettings,
+  getStorePath,
 };
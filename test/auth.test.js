@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AuthManager = require('../auth');
+const { EmailCodeProvider, TotpProvider, totpCode } = require('../auth');
+const { formatMessage } = require('../smtp');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * A clock the test moves by hand
+ */
+function createClock() {
+    const clock = { time: Date.UTC(2026, 0, 1) };
+    clock.now = () => clock.time;
+    return clock;
+}
+
+/**
+ * Email provider whose mails are kept instead of sent
+ */
+function createEmailProvider(clock) {
+    const sent = [];
+    const provider = new EmailCodeProvider({
+        transport: { sendMail: async (message) => { sent.push(message); } },
+        now: clock.now
+    });
+    const lastCode = () => /code is (\d{6})/.exec(sent[sent.length - 1].text)[1];
+    return { provider, sent, lastCode };
+}
+
+function createTotpProvider(clock) {
+    const secrets = new Map();
+    return new TotpProvider({
+        secretStore: { get: email => secrets.get(email) || null, set: (email, record) => secrets.set(email, record) },
+        now: clock.now
+    });
+}
+
+test('an emailed code signs in once, and the session lasts the configured days', async () => {
+    const clock = createClock();
+    const email = createEmailProvider(clock);
+    const auth = new AuthManager({ providers: { email: email.provider }, sessionDays: 7, now: clock.now });
+
+    await auth.requestCode(' Alice@Example.com ', 'email');
+    assert.strictEqual(email.sent[0].to, 'alice@example.com');
+
+    const session = await auth.verify('alice@example.com', email.lastCode());
+    assert.deepStrictEqual(session, {
+        email: 'alice@example.com',
+        method: 'email',
+        signedInAt: clock.time,
+        expiresAt: clock.time + 7 * 24 * 60 * MINUTE
+    });
+    await assert.rejects(auth.verify('alice@example.com', email.lastCode()), { code: 'no-code' });
+
+    assert.strictEqual(auth.isSessionValid(session), true);
+    clock.time += 7 * 24 * 60 * MINUTE;
+    assert.strictEqual(auth.isSessionValid(session), false);
+});
+
+test('emailed codes expire', async () => {
+    const clock = createClock();
+    const email = createEmailProvider(clock);
+    const auth = new AuthManager({ providers: { email: email.provider }, now: clock.now });
+
+    await auth.requestCode('alice@example.com', 'email');
+    clock.time += 11 * MINUTE;
+    await assert.rejects(auth.verify('alice@example.com', email.lastCode()), { code: 'invalid-code' });
+});
+
+test('an address can ask for three codes in ten minutes', async () => {
+    const clock = createClock();
+    const email = createEmailProvider(clock);
+    const auth = new AuthManager({ providers: { email: email.provider }, now: clock.now });
+
+    for (let i = 0; i < 3; i++) {
+        await auth.requestCode('alice@example.com', 'email');
+    }
+    await assert.rejects(auth.requestCode('alice@example.com', 'email'), { code: 'rate-limited' });
+    assert.strictEqual(email.sent.length, 3);
+
+    // Other addresses are counted on their own
+    await auth.requestCode('bob@example.com', 'email');
+
+    clock.time += 10 * MINUTE;
+    await auth.requestCode('alice@example.com', 'email');
+});
+
+test('five wrong codes lock the address for fifteen minutes, even for the right code', async () => {
+    const clock = createClock();
+    const email = createEmailProvider(clock);
+    const auth = new AuthManager({ providers: { email: email.provider }, now: clock.now });
+
+    await auth.requestCode('alice@example.com', 'email');
+    const code = email.lastCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 4; i++) {
+        await assert.rejects(auth.verify('alice@example.com', wrong), { code: 'invalid-code' });
+    }
+    await assert.rejects(auth.verify('alice@example.com', wrong), { code: 'rate-limited' });
+    await assert.rejects(auth.verify('alice@example.com', code), { code: 'rate-limited' });
+    await assert.rejects(auth.requestCode('alice@example.com', 'email'), { code: 'rate-limited' });
+
+    // The code has expired by then; a new one works
+    clock.time += 15 * MINUTE;
+    await auth.requestCode('alice@example.com', 'email');
+    assert.strictEqual((await auth.verify('alice@example.com', email.lastCode())).email, 'alice@example.com');
+});
+
+test('authenticator codes match RFC 6238', () => {
+    // The RFC's SHA-1 secret "12345678901234567890", last six of its eight digits
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    assert.strictEqual(totpCode(secret, 59 * 1000), '287082');
+    assert.strictEqual(totpCode(secret, 1111111109 * 1000), '081804');
+});
+
+test('an authenticator code works once, and never after a newer one', async () => {
+    const clock = createClock();
+    const auth = new AuthManager({ providers: { totp: createTotpProvider(clock) }, now: clock.now });
+
+    const { setup } = await auth.requestCode('alice@example.com', 'totp');
+    assert.match(setup.uri, /^otpauth:\/\/totp\/Fileway%3Aalice%40example\.com\?secret=/);
+
+    const first = totpCode(setup.secret, clock.time);
+    await auth.verify('alice@example.com', first);
+
+    // Set up now: no secret shown again
+    assert.strictEqual((await auth.requestCode('alice@example.com', 'totp')).setup, undefined);
+    await assert.rejects(auth.verify('alice@example.com', first), { code: 'invalid-code' });
+
+    // The next code, then the previous step's code still inside the drift window
+    clock.time += 30 * 1000;
+    await auth.requestCode('alice@example.com', 'totp');
+    await auth.verify('alice@example.com', totpCode(setup.secret, clock.time));
+    await auth.requestCode('alice@example.com', 'totp');
+    await assert.rejects(auth.verify('alice@example.com', first), { code: 'invalid-code' });
+});
+
+test('code emails cannot add headers and a lone dot does not end the message', () => {
+    const message = formatMessage({
+        from: 'Fileway <fileway@localhost>',
+        to: 'alice@example.com\r\nBcc: mallory@example.com',
+        subject: 'Code',
+        text: 'first\n.\nlast'
+    }, 'localhost');
+
+    assert.doesNotMatch(message, /\r\nBcc:/);
+    assert.match(message, /\r\n\r\nfirst\r\n\.\.\r\nlast\r\n\.\r\n$/);
+});
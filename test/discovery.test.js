@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceDiscovery = require('../discovery');
+const { generateIdentity } = require('../secureChannel');
+
+/**
+ * A discovery instance signed in as a device, without any sockets
+ */
+function createDevice(deviceId, name, email) {
+    const discovery = new DeviceDiscovery({ identity: generateIdentity() });
+    discovery.myDeviceId = deviceId;
+    discovery.myDeviceName = name;
+    discovery.myEmail = email;
+    return discovery;
+}
+
+test('one signed announcement reaching both address families keeps both addresses', () => {
+    const sender = createDevice('device-a', 'Laptop', 'alice@fileway.local');
+    const receiver = createDevice('device-b', 'Desktop', 'bob@fileway.local');
+    const rejected = [];
+    receiver.on('presenceRejected', (info) => rejected.push(info.reason));
+
+    // The same bytes go to the IPv4 broadcast address and the IPv6 group
+    const message = Buffer.from(sender.createPresence('presence'));
+    receiver.handleMessage(message, { address: '192.168.1.5', family: 'IPv4', port: 41234 });
+    receiver.handleMessage(message, { address: 'fe80::5%eth0', family: 'IPv6', port: 41234 });
+
+    const device = receiver.findDeviceById('device-a');
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(device.ip, '192.168.1.5');
+    assert.deepStrictEqual(device.addresses, ['192.168.1.5', 'fe80::5%eth0']);
+    assert.deepStrictEqual(device.foundBy, ['broadcast', 'ipv6']);
+});
+
+test('an older announcement is still refused as a replay', () => {
+    const sender = createDevice('device-a', 'Laptop', 'alice@fileway.local');
+    const receiver = createDevice('device-b', 'Desktop', 'bob@fileway.local');
+    const rejected = [];
+    receiver.on('presenceRejected', (info) => rejected.push(info.reason));
+
+    const older = Buffer.from(sender.createPresence('presence'));
+    const newer = Buffer.from(sender.createPresence('presence'));
+    receiver.handleMessage(newer, { address: '192.168.1.5', family: 'IPv4', port: 41234 });
+    receiver.handleMessage(older, { address: 'fe80::5%eth0', family: 'IPv6', port: 41234 });
+
+    assert.deepStrictEqual(rejected, ['replayed']);
+    assert.deepStrictEqual(receiver.findDeviceById('device-a').addresses, ['192.168.1.5']);
+});
+
+test('a copy of the last announcement from another address in the same family is a replay', () => {
+    const sender = createDevice('device-a', 'Laptop', 'alice@fileway.local');
+    const receiver = createDevice('device-b', 'Desktop', 'bob@fileway.local');
+    const rejected = [];
+    receiver.on('presenceRejected', (info) => rejected.push(`${info.reason} ${info.address}`));
+
+    const message = Buffer.from(sender.createPresence('presence'));
+    receiver.handleMessage(message, { address: '192.168.1.5', family: 'IPv4', port: 41234 });
+    receiver.handleMessage(message, { address: '192.168.1.66', family: 'IPv4', port: 41234 });
+
+    assert.deepStrictEqual(rejected, ['replayed 192.168.1.66']);
+    assert.strictEqual(receiver.findDeviceById('device-a').ip, '192.168.1.5');
+});
+
+test('announcements with a device ID the handshake would refuse are ignored', () => {
+    const receiver = createDevice('device-b', 'Desktop', 'bob@fileway.local');
+    const message = Buffer.from(JSON.stringify({
+        type: 'presence',
+        deviceId: "x') || alert(1) || ('",
+        deviceName: 'Laptop',
+        email: 'alice@fileway.local'
+    }));
+    receiver.handleMessage(message, { address: '192.168.1.5', family: 'IPv4', port: 41234 });
+
+    assert.deepStrictEqual(receiver.getDeviceList(), []);
+});
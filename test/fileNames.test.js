@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const FileTransfer = require('../fileTransfer');
+const { sanitizeFileName, sanitizeRelativePath } = require('../fileNames');
+
+/**
+ * Offer of empty files, with the hashes an empty file has
+ */
+function createOffer(relativePaths) {
+    return {
+        transferId: 'test',
+        resumeKey: 'b'.repeat(64),
+        files: relativePaths.map(relativePath => ({ relativePath, size: 0, sha256: 'a'.repeat(64), blockHashes: [] }))
+    };
+}
+
+test('names Windows reserves for devices are prefixed, with or without an extension', () => {
+    assert.strictEqual(sanitizeFileName('CON'), '_CON');
+    assert.strictEqual(sanitizeFileName('nul.txt'), '_nul.txt');
+    assert.strictEqual(sanitizeFileName('com1.tar.gz'), '_com1.tar.gz');
+    assert.strictEqual(sanitizeFileName('console.txt'), 'console.txt');
+});
+
+test('separators, control characters and trailing dots do not survive', () => {
+    assert.strictEqual(sanitizeFileName('a\\b'), 'a_b');
+    assert.strictEqual(sanitizeFileName('a:b?\u0001'), 'a_b__');
+    assert.strictEqual(sanitizeFileName('notes. . '), 'notes');
+    assert.strictEqual(sanitizeFileName('...'), '_');
+});
+
+test('paths with empty, . or .. segments are refused', () => {
+    for (const unsafe of ['../secret', 'a/../../b', './a', 'a//b', '/etc/passwd', 'a/', '']) {
+        assert.throws(() => sanitizeRelativePath(unsafe), /Unsafe path|Invalid file name/, unsafe);
+    }
+});
+
+test('backslashes are not separators, so they cannot climb out either', () => {
+    assert.strictEqual(sanitizeRelativePath('..\\..\\windows\\system32'), '.._.._windows_system32');
+    assert.strictEqual(sanitizeRelativePath('photos/aux/con.jpg'), 'photos/_aux/_con.jpg');
+});
+
+test('names that only differ before sanitizing are refused as duplicates', () => {
+    const fileTransfer = new FileTransfer(path.join(os.tmpdir(), 'fileway-test'));
+    assert.throws(() => fileTransfer.parseOffer(createOffer(['a:b.txt', 'a?b.txt'])), /Duplicate file name/);
+    assert.throws(() => fileTransfer.parseOffer(createOffer(['Notes.txt', 'notes.txt'])), /Duplicate file name/);
+    assert.strictEqual(fileTransfer.parseOffer(createOffer(['a:b.txt'])).files[0].relativePath, 'a_b.txt');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHello, negotiate } = require('../protocol');
+
+test('the highest common version and the shared features are picked', () => {
+    const local = { version: 3, minVersion: 2, capabilities: ['pause', 'sync', 'text'] };
+    const peer = { version: 2, minVersion: 2, capabilities: ['text', 'pause', 'stripes'] };
+    assert.deepStrictEqual(negotiate(local, peer), { version: 2, capabilities: ['pause', 'text'] });
+});
+
+test('devices without a common version refuse, naming the one to update', () => {
+    const local = { version: 3, minVersion: 3, capabilities: [] };
+
+    assert.throws(() => negotiate(local, { version: 2, minVersion: 2, capabilities: [] }), (err) =>
+        err.code === 'incompatible-version' && err.retryable === false && /Update Fileway on the other device/.test(err.message));
+    assert.throws(() => negotiate(local, { version: 5, minVersion: 4, capabilities: [] }), (err) =>
+        err.code === 'incompatible-version' && /Update Fileway on this device/.test(err.message));
+});
+
+test('a hello without versions is refused', () => {
+    for (const peer of [null, {}, { version: '2', minVersion: 2 }, { version: 2 }]) {
+        assert.throws(() => negotiate(createHello(), peer), { code: 'incompatible-version' });
+    }
+});
+
+test('capabilities that are not a list count as none', () => {
+    const hello = createHello();
+    assert.deepStrictEqual(negotiate(hello, { ...hello, capabilities: 'pause' }).capabilities, []);
+});
@@ -0,0 +1,135 @@
+/**
+ * transferHistory.js - Turn finished transfers into history entries
+ * and answer the history page's questions about them (search, filters,
+ * totals per device and per time period). Storage is left to store.js.
+ */
+
+const MAX_LISTED_FILES = 200; // a huge folder keeps its totals, not every name
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a history entry from a transferEnded event
+ * @param ended transferEnded event data
+ * @param peerDetails { email, deviceName } known locally for the other device
+ */
+function createHistoryEntry(ended, peerDetails = {}) {
+    const files = ended.files || [];
+    const localPath = ended.direction === 'receive'
+        ? (files.length === 1 && files[0].path) || ended.destination || null
+        : (ended.sourcePaths && ended.sourcePaths.length === 1 ? ended.sourcePaths[0] : null);
+
+    return {
+        id: `${ended.direction}-${ended.transferId}-${ended.endedAt}`,
+        transferId: ended.transferId,
+        direction: ended.direction,
+        outcome: ended.outcome,
+        peer: {
+            deviceId: ended.peer.deviceId || null,
+            email: ended.peer.email || peerDetails.email || null,
+            deviceName: peerDetails.deviceName || null
+        },
+        fileName: ended.fileName,
+        text: ended.text || null, // set for text snippets, which have no files
+        fileCount: files.length,
+        files: files.slice(0, MAX_LISTED_FILES),
+        totalSize: ended.totalSize || 0,
+        bytesTransferred: ended.bytesTransferred || 0,
+        localPath,
+        sourcePaths: ended.sourcePaths || null,
+        startedAt: ended.startedAt || ended.endedAt,
+        endedAt: ended.endedAt,
+        duration: Math.max(0, ended.endedAt - (ended.startedAt || ended.endedAt)),
+        error: ended.error || null,
+        cancelledBy: ended.cancelledBy || null,
+        reason: ended.reason || null,
+        compression: ended.compression || null,
+        networkBytes: ended.networkBytes || 0,
+        reusedBytes: ended.reusedBytes || 0
+    };
+}
+
+/**
+ * @param filters.query text matched against file names, snippet text and the peer
+ * @param filters.direction 'send' or 'receive'
+ * @param filters.outcome 'completed', 'failed', 'corrupted', 'cancelled' or 'rejected'
+ * @param filters.deviceId only transfers with this device
+ * @param filters.since only transfers that ended after this timestamp
+ */
+function filterHistory(entries, filters = {}) {
+    const query = String(filters.query || '').trim().toLowerCase();
+
+    return entries.filter(entry => {
+        if (filters.direction && entry.direction !== filters.direction) return false;
+        if (filters.outcome && entry.outcome !== filters.outcome) return false;
+        if (filters.deviceId && entry.peer.deviceId !== filters.deviceId) return false;
+        if (filters.since && entry.endedAt < filters.since) return false;
+        if (!query) return true;
+
+        const haystack = [entry.fileName, entry.text, entry.peer.email, entry.peer.deviceName]
+            .concat(entry.files.map(file => file.relativePath));
+        return haystack.some(text => text && text.toLowerCase().includes(query));
+    });
+}
+
+function emptyTotals() {
+    return { transfers: 0, completed: 0, sentBytes: 0, receivedBytes: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.transfers++;
+    if (entry.outcome !== 'completed') return;
+
+    totals.completed++;
+    if (entry.direction === 'send') {
+        totals.sentBytes += entry.totalSize;
+    } else {
+        totals.receivedBytes += entry.totalSize;
+    }
+}
+
+/**
+ * Totals per device and for today, the last 7 and 30 days and all time.
+ * Bytes only count transfers that completed.
+ */
+function summarizeHistory(entries, now = Date.now()) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const periodStarts = {
+        today: startOfDay.getTime(),
+        week: now - 7 * DAY,
+        month: now - 30 * DAY,
+        all: 0
+    };
+    const periods = {};
+    Object.keys(periodStarts).forEach(period => { periods[period] = emptyTotals(); });
+
+    const devices = new Map();
+    for (const entry of entries) {
+        Object.entries(periodStarts).forEach(([period, start]) => {
+            if (entry.endedAt >= start) addToTotals(periods[period], entry);
+        });
+
+        const key = entry.peer.deviceId || entry.peer.email || 'unknown';
+        if (!devices.has(key)) {
+            devices.set(key, { ...entry.peer, ...emptyTotals(), lastTransferAt: 0 });
+        }
+        const device = devices.get(key);
+        addToTotals(device, entry);
+        // Entries are newest first, but keep the best name we have seen
+        device.email = device.email || entry.peer.email;
+        device.deviceName = device.deviceName || entry.peer.deviceName;
+        device.lastTransferAt = Math.max(device.lastTransferAt, entry.endedAt);
+    }
+
+    return {
+        periods,
+        devices: Array.from(devices.values()).sort((a, b) => b.lastTransferAt - a.lastTransferAt)
+    };
+}
+
+module.exports = {
+    createHistoryEntry,
+    filterHistory,
+    summarizeHistory
+};
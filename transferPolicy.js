@@ -0,0 +1,62 @@
+/**
+ * transferPolicy.js - Decide what to do with an incoming transfer request
+ * Combines the auto-accept setting with the paired and blocked device lists.
+ * The request's deviceId and fingerprint come from the authenticated channel,
+ * so a paired device is recognised by its key, not by the email it claims.
+ */
+
+const DECISION = {
+    ACCEPT: 'accept',
+    PROMPT: 'prompt',
+    REJECT: 'reject'
+};
+
+/**
+ * Whether the request comes from a device the user paired with this one
+ */
+function isPairedDevice(request, pairedDevices) {
+    const paired = pairedDevices[request.deviceId];
+    return Boolean(paired) &&
+        paired.fingerprint === request.fingerprint &&
+        paired.email === request.senderEmail;
+}
+
+/**
+ * @param request transferRequest event data (deviceId, fingerprint, senderEmail, conflicts, browser)
+ * @param context.autoAccept 'my-devices', 'everyone' or 'nobody'
+ * @param context.pairedDevices deviceId -> { email, fingerprint, ... }
+ * @param context.blockedDevices deviceId -> { ... }
+ * @param context.collisionStrategy 'rename', 'overwrite' or 'ask'
+ * @returns { decision, reason }
+ */
+function decideTransfer(request, { autoAccept, pairedDevices = {}, blockedDevices = {}, collisionStrategy }) {
+    if (blockedDevices[request.deviceId]) {
+        return { decision: DECISION.REJECT, reason: 'blocked' };
+    }
+
+    // A browser has no device key to recognise it by
+    if (request.browser) {
+        return { decision: DECISION.PROMPT, reason: 'browser' };
+    }
+
+    // The user asked to decide about existing files themselves
+    if (collisionStrategy === 'ask' && request.conflicts && request.conflicts.length > 0) {
+        return { decision: DECISION.PROMPT, reason: 'conflicts' };
+    }
+
+    if (autoAccept === 'everyone') {
+        return { decision: DECISION.ACCEPT, reason: 'everyone' };
+    }
+
+    if (autoAccept === 'my-devices' && isPairedDevice(request, pairedDevices)) {
+        return { decision: DECISION.ACCEPT, reason: 'paired' };
+    }
+
+    return { decision: DECISION.PROMPT, reason: autoAccept === 'nobody' ? 'manual' : 'unknown-device' };
+}
+
+module.exports = {
+    DECISION,
+    decideTransfer,
+    isPairedDevice
+};
@@ -0,0 +1,506 @@
+/**
+ * webShare.js - Upload and download page for devices without Fileway
+ * A small web server on the local network. Anyone with the link (shown in
+ * the app as a URL and QR code; it carries a key made at every start) can
+ * upload files, which arrive as a normal transfer request, and download
+ * the files the user chose to share.
+ *
+ *   GET  /                             the page (web/index.html)
+ *   GET  /api/shares                   files shared for download
+ *   GET  /api/shares/:id/download
+ *   POST /api/uploads                  { name, files: [{ relativePath, size }] } -> { uploadId }
+ *   GET  /api/uploads/:id              { state, error }: waiting, queued, accepted,
+ *                                      completed, rejected, cancelled or failed
+ *   PUT  /api/uploads/:id/files/:index the file's bytes, in order, once accepted
+ *   POST /api/uploads/:id/cancel
+ *
+ * The key comes as ?key= or the X-Fileway-Key header.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { FRAME } = require('./protocol');
+
+const WEB_SHARE_PORT = 41237;
+const PAGE_PATH = path.join(__dirname, 'web', 'index.html');
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+const MAX_UPLOAD_FILES = 10000;
+const MAX_NAME_LENGTH = 64;
+const WAITING_TIMEOUT = 20 * 1000; // a page that stops asking about its request has gone away
+const IDLE_TIMEOUT = 60 * 1000; // between two files of an accepted upload
+const FINISHED_KEEP_TIME = 60 * 1000; // the page may still ask how its upload ended
+const SWEEP_INTERVAL = 5 * 1000;
+const FINISHED_STATES = ['completed', 'rejected', 'cancelled', 'failed'];
+
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'",
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    'Cache-Control': 'no-store'
+};
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function sendJson(res, status, body) {
+    if (res.headersSent) return;
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        ...SECURITY_HEADERS,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_MANIFEST_SIZE) {
+                reject(httpError(413, 'Too many files at once'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(httpError(400, 'Invalid request'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * IPv4 addresses other devices on the network can reach this one on
+ */
+function getLanAddresses() {
+    const addresses = [];
+    const interfaces = os.networkInterfaces();
+
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            if (iface.internal || iface.family !== 'IPv4') continue;
+            addresses.push(iface.address);
+        }
+    }
+    return addresses;
+}
+
+function remoteAddress(req) {
+    return String(req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Stands in for the SecureChannel of a sending device, so FileTransfer can
+ * take an upload through its usual steps. What FileTransfer sends is kept
+ * as the state the page polls for; the bytes of the file being uploaded
+ * come out as 'data' events.
+ */
+class UploadChannel extends EventEmitter {
+    constructor(files) {
+        super();
+        this.peer = { deviceId: null, fingerprint: null, safetyCode: null, firstContact: false };
+        this.files = files;
+        this.state = 'waiting';
+        this.error = null;
+        this.destroyed = false;
+        this.nextFile = 0; // index of the next file the page has to upload
+        this.upload = null; // { req, res, received } of the file being uploaded
+        this.paused = false;
+        this.lastSeen = Date.now();
+        this.finishedAt = null;
+        this.skipEmptyFiles();
+    }
+
+    supports() {
+        return false;
+    }
+
+    send(type, message) {
+        switch (type) {
+            case FRAME.QUEUED:
+                this.state = 'queued';
+                break;
+            case FRAME.ACCEPT:
+                this.state = 'accepted';
+                break;
+            case FRAME.ACK:
+                this.finish('completed');
+                break;
+            case FRAME.REJECT:
+                this.finish('rejected');
+                break;
+            case FRAME.CANCEL:
+                this.finish('cancelled', message.reason || 'Cancelled on the receiving device');
+                break;
+            case FRAME.ERROR:
+                this.finish('failed', message.error);
+                break;
+        }
+    }
+
+    finish(state, error = null) {
+        if (FINISHED_STATES.includes(this.state)) return;
+        this.state = state;
+        this.error = error;
+        this.finishedAt = Date.now();
+    }
+
+    /**
+     * The page gave up or went away; FileTransfer treats it like a sender cancelling
+     */
+    withdraw() {
+        if (FINISHED_STATES.includes(this.state)) return;
+        this.finish('cancelled', 'Cancelled in the browser');
+        this.emit('message', FRAME.CANCEL, { reason: null });
+        this.end();
+    }
+
+    end() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        // An upload still in progress is answered with how it ended
+        if (this.upload) {
+            const { req, res } = this.upload;
+            this.upload = null;
+            res.setHeader('Connection', 'close');
+            sendJson(res, 409, this.describe());
+            req.resume();
+        }
+        this.emit('close');
+    }
+
+    destroy() {
+        this.end();
+    }
+
+    pause() {
+        this.paused = true;
+        if (this.upload) this.upload.req.pause();
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.upload) this.upload.req.resume();
+    }
+
+    skipEmptyFiles() {
+        while (this.nextFile < this.files.length && this.files[this.nextFile].size === 0) {
+            this.nextFile++;
+        }
+    }
+
+    /**
+     * Pass the body of a PUT for one file on to the receive session
+     */
+    receiveFile(index, req, res) {
+        const file = this.files[index];
+        if (this.state !== 'accepted' || this.upload) {
+            throw httpError(409, 'The upload is not ready for files');
+        }
+        if (index !== this.nextFile) {
+            throw httpError(409, `Expected file #${this.nextFile}`);
+        }
+        if (Number(req.headers['content-length']) !== file.size) {
+            throw httpError(400, 'The file is not the size announced');
+        }
+
+        const upload = { req, res, received: 0 };
+        this.upload = upload;
+        if (this.paused) req.pause();
+
+        req.on('data', (chunk) => {
+            if (this.upload !== upload) return;
+            this.lastSeen = Date.now();
+            upload.received += chunk.length;
+            this.emit('data', chunk, false);
+        });
+        req.on('end', () => {
+            if (this.upload !== upload) return;
+            this.upload = null;
+            this.nextFile++;
+            this.skipEmptyFiles();
+
+            // The last file is answered once it has been checked and saved
+            if (this.nextFile < this.files.length || this.destroyed) {
+                sendJson(res, 200, this.describe());
+            } else {
+                this.once('close', () => sendJson(res, 200, this.describe()));
+            }
+        });
+        // The page was closed halfway through a file
+        res.on('close', () => {
+            if (this.upload === upload && !res.writableEnded) {
+                this.upload = null;
+                this.withdraw();
+            }
+        });
+    }
+
+    describe() {
+        return { state: this.state, error: this.error, nextFile: this.nextFile };
+    }
+}
+
+class WebShare extends EventEmitter {
+    /**
+     * @param options.fileTransfer where uploads are received
+     * @param options.port TCP port on every interface
+     */
+    constructor(options) {
+        super();
+        this.fileTransfer = options.fileTransfer;
+        this.port = options.port || WEB_SHARE_PORT;
+        this.server = null;
+        this.key = null;
+        this.page = null;
+        this.uploads = new Map(); // uploadId -> UploadChannel
+        this.shares = new Map(); // id -> { id, name, path, size, downloads }
+        this.sweepInterval = null;
+    }
+
+    /**
+     * Start serving with a new key; links from an earlier start stop working
+     */
+    start() {
+        this.key = crypto.randomBytes(9).toString('base64url');
+        this.page = fs.readFileSync(PAGE_PATH);
+
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                this.server.removeListener('error', reject);
+                this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+        this.uploads.forEach(channel => channel.withdraw());
+        this.uploads.clear();
+        if (this.server) {
+            this.server.close();
+            this.server.closeAllConnections();
+            this.server = null;
+        }
+        this.key = null;
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    /**
+     * Links to the page, one per network address of this device
+     */
+    getUrls() {
+        if (!this.server) return [];
+        return getLanAddresses().map(address => `http://${address}:${this.port}/?key=${this.key}`);
+    }
+
+    /**
+     * Offer files for download; folders are left out
+     */
+    addShares(filePaths) {
+        const added = [];
+        for (const filePath of filePaths) {
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile()) continue;
+
+            const share = {
+                id: crypto.randomBytes(8).toString('hex'),
+                name: path.basename(filePath),
+                path: filePath,
+                size: stats.size,
+                downloads: 0
+            };
+            this.shares.set(share.id, share);
+            added.push(share);
+        }
+        this.emit('sharesChanged');
+        return added;
+    }
+
+    removeShare(id) {
+        const removed = this.shares.delete(id);
+        if (removed) this.emit('sharesChanged');
+        return removed;
+    }
+
+    getShares() {
+        return Array.from(this.shares.values()).map(share => ({ ...share }));
+    }
+
+    /**
+     * Withdraw uploads whose page went away and forget finished ones
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [uploadId, channel] of this.uploads) {
+            if (channel.finishedAt) {
+                if (now - channel.finishedAt > FINISHED_KEEP_TIME) this.uploads.delete(uploadId);
+                continue;
+            }
+
+            const timeout = channel.state === 'accepted' ? IDLE_TIMEOUT : WAITING_TIMEOUT;
+            if (!channel.upload && now - channel.lastSeen > timeout) {
+                channel.withdraw();
+            }
+        }
+    }
+
+    // ==================== HTTP ====================
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const key = req.headers['x-fileway-key'] || url.searchParams.get('key');
+
+        Promise.resolve()
+            .then(() => {
+                if (!this.keyMatches(key)) {
+                    throw httpError(403, 'Ask for the link shown in Fileway on the receiving computer');
+                }
+                return this.route(req, res, url);
+            })
+            .catch((err) => {
+                if (!err.status) console.error('Web share error:', err);
+                sendJson(res, err.status || 500, { error: err.message });
+            });
+    }
+
+    keyMatches(key) {
+        const expected = Buffer.from(this.key || '');
+        const given = Buffer.from(String(key || ''));
+        return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    async route(req, res, url) {
+        const parts = url.pathname.split('/').filter(Boolean);
+        const method = req.method;
+
+        if (method === 'GET' && parts.length === 0) {
+            res.writeHead(200, {
+                ...SECURITY_HEADERS,
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Length': this.page.length
+            });
+            res.end(this.page);
+            return;
+        }
+        if (parts[0] !== 'api') throw httpError(404, 'Not found');
+
+        if (method === 'GET' && parts[1] === 'shares' && parts.length === 2) {
+            sendJson(res, 200, this.getShares().map(({ id, name, size }) => ({ id, name, size })));
+            return;
+        }
+        if (method === 'GET' && parts[1] === 'shares' && parts[3] === 'download' && parts.length === 4) {
+            this.sendShare(req, res, parts[2]);
+            return;
+        }
+        if (method === 'POST' && parts[1] === 'uploads' && parts.length === 2) {
+            sendJson(res, 200, await this.createUpload(req));
+            return;
+        }
+
+        const channel = parts[1] === 'uploads' ? this.uploads.get(parts[2]) : null;
+        if (!channel) throw httpError(404, 'Not found');
+        channel.lastSeen = Date.now();
+
+        if (method === 'GET' && parts.length === 3) {
+            sendJson(res, 200, channel.describe());
+        } else if (method === 'PUT' && parts[3] === 'files' && parts.length === 5) {
+            channel.receiveFile(Number(parts[4]), req, res);
+        } else if (method === 'POST' && parts[3] === 'cancel' && parts.length === 4) {
+            channel.withdraw();
+            sendJson(res, 200, channel.describe());
+        } else {
+            throw httpError(404, 'Not found');
+        }
+    }
+
+    /**
+     * Announce an upload; it shows up in Fileway as a transfer request
+     */
+    async createUpload(req) {
+        const body = await readJsonBody(req);
+        const files = body && Array.isArray(body.files) ? body.files : [];
+        if (files.length === 0 || files.length > MAX_UPLOAD_FILES) {
+            throw httpError(400, 'Choose between 1 and ' + MAX_UPLOAD_FILES + ' files');
+        }
+        if (!files.every(file => file && typeof file.relativePath === 'string' && Number.isSafeInteger(file.size) && file.size >= 0)) {
+            throw httpError(400, 'Invalid file list');
+        }
+
+        const address = remoteAddress(req);
+        const name = typeof body.name === 'string' ? body.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        const channel = new UploadChannel(files);
+
+        try {
+            await this.fileTransfer.receiveUpload(channel, {
+                files,
+                senderName: name || `Browser at ${address}`,
+                address
+            });
+        } catch (err) {
+            throw httpError(400, err.message);
+        }
+
+        const uploadId = crypto.randomBytes(16).toString('hex');
+        this.uploads.set(uploadId, channel);
+        return { uploadId, ...channel.describe() };
+    }
+
+    sendShare(req, res, id) {
+        const share = this.shares.get(id);
+        if (!share) throw httpError(404, 'This file is no longer shared');
+
+        const stream = fs.createReadStream(share.path);
+        stream.on('error', (err) => {
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                sendJson(res, 410, { error: `Could not read ${share.name}: ${err.message}` });
+            }
+        });
+        stream.once('open', () => {
+            res.writeHead(200, {
+                ...SECURITY_HEADERS,
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': fs.statSync(share.path).size,
+                'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(share.name)}`
+            });
+            stream.pipe(res);
+
+            // Only a download that was sent in full counts, not the error reply
+            res.once('finish', () => {
+                share.downloads++;
+                this.emit('shareDownloaded', { id: share.id, name: share.name, address: remoteAddress(req) });
+                this.emit('sharesChanged');
+            });
+        });
+        res.on('close', () => stream.destroy());
+    }
+}
+
+module.exports = WebShare;
+module.exports.WEB_SHARE_PORT = WEB_SHARE_PORT;